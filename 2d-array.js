@@ -2,22 +2,59 @@
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
 const statusDisplay = document.getElementById('status-display');
-const messageBox = document.getElementById('messageBox');
 
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
+// --- TRAVERSALS ---
+const TRAVERSALS = {
+    rowMajor: 'Row-major',
+    columnMajor: 'Column-major',
+    spiral: 'Spiral',
+    antiDiagonal: 'Anti-diagonal',
+    zigzag: 'Zigzag',
+    boundary: 'Boundary',
+};
+
+// --- TRANSFORMS ---
+const TRANSFORMS = {
+    transpose: 'Transpose',
+    rotateClockwise: 'Rotate 90° clockwise',
+    rotateCounterClockwise: 'Rotate 90° counter-clockwise',
+    flipHorizontal: 'Horizontal flip',
+    flipVertical: 'Vertical flip',
+    setZeroes: 'Set matrix zeroes',
+};
+
+// --- GRID SEARCH ---
+const PATHFINDERS = {
+    bfs: 'BFS',
+    dfs: 'DFS',
+    dijkstra: 'Dijkstra',
+    aStar: 'A*',
+};
 
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+// Fill colours for the islands found by countIslands, reused in turn
+const ISLAND_COLORS = ['#fca5a5', '#93c5fd', '#86efac', '#fcd34d', '#c4b5fd', '#f9a8d4', '#5eead4', '#fdba74'];
+
+// --- DP TABLES ---
+// first and second describe the two inputs each problem reads
+const DP_PROBLEMS = {
+    lcs: { name: 'Longest common subsequence', first: 'First string, e.g. ABCBDAB', second: 'Second string' },
+    editDistance: { name: 'Edit distance', first: 'Source word, e.g. kitten', second: 'Target word' },
+    knapsack: { name: '0/1 knapsack', first: 'Items weight:value, e.g. 1:1, 3:4, 4:5', second: 'Capacity' },
+    uniquePaths: { name: 'Unique paths', first: 'Rows', second: 'Cols' },
+    coinChange: { name: 'Coin change', first: 'Coins, e.g. 1, 2, 5', second: 'Amount' },
+};
 
 // --- VISUALIZER CLASS ---
 class TwoDArrayVisualizer {
     constructor() {
         this.grid = [];
-        this.isAnimating = false;
+        this.walls = new Set(); // `${r}-${c}` keys of cells that block the grid searches
+        this.start = null;
+        this.goal = null;
+        this.labels = null; // { rows, cols } header labels while the grid holds a DP table
+        this.memory = { show: true, base: 0x1000, size: 4, columnMajor: false }; // The flat memory strip under the grid
+        this.hoverCell = null;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -27,20 +64,35 @@ class TwoDArrayVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = Math.max(container.clientHeight, 400); // Ensure a minimum height
-        this.draw();
+        this.player.refresh();
     }
 
-    draw(highlights = {}) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        if (this.grid.length === 0) return;
+    // --- Step player hooks ---
+    captureFrame(highlights = {}) {
+        return { grid: this.grid.map(row => [...row]), highlights };
+    }
 
-        const rows = this.grid.length;
-        const cols = this.grid[0].length;
-        
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.grid, frame);
+    }
+
+    getLayout(grid = this.grid) {
         const PADDING = 40;
-        const cellWidth = (canvas.width - PADDING * 2) / cols;
-        const cellHeight = (canvas.height - PADDING * 2) / rows;
+        const memoryHeight = this.memory.show ? this.getMemoryLayout(grid).height : 0;
+        const cellWidth = (canvas.width - PADDING * 2) / grid[0].length;
+        const cellHeight = (canvas.height - PADDING * 2 - memoryHeight) / grid.length;
         const fontSize = Math.min(cellWidth, cellHeight) / 2.5;
+        return { PADDING, cellWidth, cellHeight, fontSize };
+    }
+
+    // path is the list of [r, c] cells visited so far by a traversal; arrows are [from, to] cell pairs
+    draw(highlights = {}, grid = this.grid, { path = null, arrows = null } = {}) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (grid.length === 0) return;
+
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const { PADDING, cellWidth, cellHeight, fontSize } = this.getLayout(grid);
 
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
@@ -48,8 +100,10 @@ class TwoDArrayVisualizer {
                 const y = PADDING + r * cellHeight;
                 const key = `${r}-${c}`;
 
+                const isWall = this.walls.has(key);
+
                 // Draw cell background
-                ctx.fillStyle = highlights[key] || '#f8fafc'; // slate-50
+                ctx.fillStyle = isWall ? '#334155' : highlights[key] || '#f8fafc'; // slate-700 / slate-50
                 ctx.fillRect(x, y, cellWidth, cellHeight);
 
                 // Draw cell border
@@ -57,29 +111,258 @@ class TwoDArrayVisualizer {
                 ctx.strokeRect(x, y, cellWidth, cellHeight);
                 
                 // Draw cell value
-                ctx.fillStyle = '#1e293b'; // slate-800
+                ctx.fillStyle = isWall ? '#f8fafc' : '#1e293b'; // slate-800
                 ctx.font = `bold ${fontSize}px Inter`;
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'middle';
-                ctx.fillText(this.grid[r][c], x + cellWidth / 2, y + cellHeight / 2);
+                ctx.fillText(grid[r][c], x + cellWidth / 2, y + cellHeight / 2);
             }
         }
+
+        // Start and goal get a coloured border and a letter in the bottom-right corner
+        [[this.start, 'S', '#16a34a'], [this.goal, 'G', '#dc2626']].forEach(([key, letter, color]) => {
+            if (!key) return;
+            const [r, c] = key.split('-').map(Number);
+            if (r >= rows || c >= cols) return;
+            const x = PADDING + c * cellWidth;
+            const y = PADDING + r * cellHeight;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x + 1.5, y + 1.5, cellWidth - 3, cellHeight - 3);
+            ctx.lineWidth = 1;
+            ctx.fillStyle = color;
+            ctx.font = `bold ${Math.max(10, fontSize * 0.5)}px Inter`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(letter, x + cellWidth - 4, y + cellHeight - 3);
+        });
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
         
-        // Draw indices
-        ctx.font = `${fontSize * 0.8}px Fira Code`;
+        // Draw indices, or the DP table's headers
+        const labels = this.labels && this.labels.rows.length === rows && this.labels.cols.length === cols ? this.labels : null;
+        ctx.font = `${labels ? Math.min(fontSize * 0.8, 14) : fontSize * 0.8}px Fira Code`;
         ctx.fillStyle = '#64748b'; // slate-500
         for (let c = 0; c < cols; c++) { // Column indices
             const x = PADDING + c * cellWidth + cellWidth / 2;
-            ctx.fillText(c, x, PADDING / 2);
+            ctx.fillText(labels ? labels.cols[c] : c, x, PADDING / 2);
         }
         for (let r = 0; r < rows; r++) { // Row indices
             const y = PADDING + r * cellHeight + cellHeight / 2;
-            ctx.fillText(r, PADDING / 2 - 10, y);
+            ctx.fillText(labels ? labels.rows[r] : r, PADDING / 2 - (labels ? 0 : 10), y);
+        }
+
+        if (this.hoverCell && this.hoverCell[0] < rows && this.hoverCell[1] < cols) {
+            const [r, c] = this.hoverCell;
+            ctx.strokeStyle = '#7c3aed'; // violet-600
+            ctx.lineWidth = 3;
+            ctx.strokeRect(PADDING + c * cellWidth, PADDING + r * cellHeight, cellWidth, cellHeight);
+            ctx.lineWidth = 1;
+        }
+
+        if (path) this.drawPath(path, grid);
+        if (arrows) this.drawArrows(arrows, grid);
+        if (this.memory.show) this.drawMemory(highlights, grid);
+    }
+
+    // --- MEMORY LAYOUT ---
+    // The strip wraps onto more lines when the slots would get too narrow
+    getMemoryLayout(grid = this.grid) {
+        const PADDING = 40;
+        const LINE_HEIGHT = 46;
+        const HEADER = 30;
+        const count = grid.length * grid[0].length;
+        const width = canvas.width - PADDING * 2;
+        const slotWidth = Math.max(30, Math.min(64, width / count));
+        const perLine = Math.max(1, Math.floor(width / slotWidth));
+        const lines = Math.ceil(count / perLine);
+        const height = HEADER + lines * LINE_HEIGHT;
+        return { PADDING, LINE_HEIGHT, HEADER, slotWidth, perLine, height, top: canvas.height - PADDING / 2 - height };
+    }
+
+    // Slot k of the strip holds the kth element in row-major or column-major order
+    slotCell(k, rows, cols) {
+        return this.memory.columnMajor ? [k % rows, Math.floor(k / rows)] : [Math.floor(k / cols), k % cols];
+    }
+
+    slotIndex(r, c, rows, cols) {
+        return this.memory.columnMajor ? c * rows + r : r * cols + c;
+    }
+
+    formatAddress(address) {
+        return `0x${address.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    // The formula for the hovered cell, or the general one
+    addressFormula(rows, cols) {
+        const { base, size, columnMajor } = this.memory;
+        const general = columnMajor ? 'base + (c*rows + r)*size' : 'base + (r*cols + c)*size';
+        if (!this.hoverCell) return `${columnMajor ? 'Column' : 'Row'}-major: address = ${general}. Hover a cell to see its address.`;
+        const [r, c] = this.hoverCell;
+        const terms = columnMajor ? `(${c}*${rows} + ${r})` : `(${r}*${cols} + ${c})`;
+        const address = base + this.slotIndex(r, c, rows, cols) * size;
+        return `[${r}][${c}]: ${general} = ${this.formatAddress(base)} + ${terms}*${size} = ${this.formatAddress(address)}`;
+    }
+
+    drawMemory(highlights, grid) {
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const { PADDING, LINE_HEIGHT, HEADER, slotWidth, perLine, top } = this.getMemoryLayout(grid);
+        const group = this.memory.columnMajor ? rows : cols; // Slots per row (or column) of the grid
+        const labelEvery = Math.ceil(48 / slotWidth); // Addresses need about 48px each
+        const hoverSlot = this.hoverCell && this.hoverCell[0] < rows && this.hoverCell[1] < cols
+            ? this.slotIndex(...this.hoverCell, rows, cols) : -1;
+
+        ctx.save();
+        ctx.font = '13px Fira Code';
+        ctx.fillStyle = '#334155'; // slate-700
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.addressFormula(rows, cols), PADDING, top + HEADER / 2);
+
+        for (let k = 0; k < rows * cols; k++) {
+            const [r, c] = this.slotCell(k, rows, cols);
+            const x = PADDING + (k % perLine) * slotWidth;
+            const y = top + HEADER + Math.floor(k / perLine) * LINE_HEIGHT;
+            const key = `${r}-${c}`;
+
+            ctx.fillStyle = this.walls.has(key) ? '#334155' : highlights[key] || '#f8fafc';
+            ctx.fillRect(x, y, slotWidth, 26);
+            ctx.strokeStyle = '#cbd5e1'; // slate-300
+            ctx.strokeRect(x, y, slotWidth, 26);
+            if (k % group === 0) { // Start of a new row (or column) of the grid
+                ctx.strokeStyle = '#64748b'; // slate-500
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x, y - 3);
+                ctx.lineTo(x, y + 29);
+                ctx.stroke();
+                ctx.lineWidth = 1;
+            }
+
+            ctx.fillStyle = this.walls.has(key) ? '#f8fafc' : '#1e293b';
+            ctx.font = `${slotWidth < 40 ? 11 : 13}px Fira Code`;
+            ctx.textAlign = 'center';
+            ctx.fillText(grid[r][c], x + slotWidth / 2, y + 13);
+
+            if (k === hoverSlot || (k % labelEvery === 0 && Math.abs(k - hoverSlot) >= labelEvery)) {
+                ctx.fillStyle = k === hoverSlot ? '#7c3aed' : '#64748b';
+                ctx.font = '10px Fira Code';
+                ctx.fillText(this.formatAddress(this.memory.base + k * this.memory.size), x + slotWidth / 2, y + 36);
+            }
+            if (k === hoverSlot) {
+                ctx.strokeStyle = '#7c3aed'; // violet-600
+                ctx.lineWidth = 3;
+                ctx.strokeRect(x, y, slotWidth, 26);
+                ctx.lineWidth = 1;
+            }
         }
+        ctx.restore();
+    }
+
+    // Maps a point on the strip back to the cell its slot holds, or null
+    memoryCellAt(x, y) {
+        if (!this.grid.length || !this.memory.show) return null;
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        const { PADDING, LINE_HEIGHT, HEADER, slotWidth, perLine, top } = this.getMemoryLayout();
+        const line = Math.floor((y - top - HEADER) / LINE_HEIGHT);
+        const column = Math.floor((x - PADDING) / slotWidth);
+        if (line < 0 || column < 0 || column >= perLine || y - top - HEADER - line * LINE_HEIGHT > 26) return null;
+        const k = line * perLine + column;
+        return k < rows * cols ? this.slotCell(k, rows, cols) : null;
+    }
+
+    setHoverCell(cell) {
+        const same = cell && this.hoverCell ? cell[0] === this.hoverCell[0] && cell[1] === this.hoverCell[1] : cell === this.hoverCell;
+        if (same) return;
+        this.hoverCell = cell;
+        this.player.refresh();
+    }
+
+    updateMemory(changes) {
+        Object.assign(this.memory, changes);
+        this.player.refresh();
+    }
+
+    // Arrows run between cell centres, stopping short of both cells so the values stay readable
+    drawArrows(arrows, grid) {
+        const { PADDING, cellWidth, cellHeight } = this.getLayout(grid);
+        const center = ([r, c]) => [PADDING + c * cellWidth + cellWidth / 2, PADDING + r * cellHeight + cellHeight / 2];
+        const inset = Math.min(cellWidth, cellHeight) * 0.3;
+
+        ctx.save();
+        ctx.strokeStyle = '#4f46e5'; // indigo-600
+        ctx.fillStyle = '#4f46e5';
+        ctx.lineWidth = 2;
+        arrows.forEach(([from, to]) => {
+            const [x1, y1] = center(from);
+            const [x2, y2] = center(to);
+            const length = Math.hypot(x2 - x1, y2 - y1);
+            if (length <= inset * 2) return;
+            const ux = (x2 - x1) / length;
+            const uy = (y2 - y1) / length;
+            const [sx, sy] = [x1 + ux * inset, y1 + uy * inset];
+            const [ex, ey] = [x2 - ux * inset, y2 - uy * inset];
+            ctx.beginPath();
+            ctx.moveTo(sx, sy);
+            ctx.lineTo(ex, ey);
+            ctx.stroke();
+            const angle = Math.atan2(uy, ux);
+            ctx.beginPath();
+            ctx.moveTo(ex, ey);
+            ctx.lineTo(ex - 9 * Math.cos(angle - Math.PI / 6), ey - 9 * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(ex - 9 * Math.cos(angle + Math.PI / 6), ey - 9 * Math.sin(angle + Math.PI / 6));
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    // Trailing line through the visited cells, with each cell's visit number in its corner
+    drawPath(path, grid) {
+        const { PADDING, cellWidth, cellHeight, fontSize } = this.getLayout(grid);
+        const center = ([r, c]) => [PADDING + c * cellWidth + cellWidth / 2, PADDING + r * cellHeight + cellHeight / 2];
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(79, 70, 229, 0.6)'; // indigo-600
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        path.forEach((cell, i) => {
+            const [x, y] = center(cell);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        const [headX, headY] = center(path[path.length - 1]);
+        ctx.fillStyle = '#4f46e5';
+        ctx.beginPath();
+        ctx.arc(headX, headY, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.font = `${Math.max(9, fontSize * 0.45)}px Fira Code`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        path.forEach(([r, c], i) => {
+            ctx.fillText(i + 1, PADDING + c * cellWidth + 3, PADDING + r * cellHeight + 3);
+        });
+        ctx.restore();
+    }
+
+    // Maps a point on the canvas to the [r, c] of the cell under it, or null
+    cellAt(x, y) {
+        if (!this.grid.length) return null;
+        const { PADDING, cellWidth, cellHeight } = this.getLayout();
+        const r = Math.floor((y - PADDING) / cellHeight);
+        const c = Math.floor((x - PADDING) / cellWidth);
+        if (r < 0 || r >= this.grid.length || c < 0 || c >= this.grid[0].length) return null;
+        return [r, c];
     }
 
     create(rows, cols) {
-        if (this.isAnimating) return;
+        if (this.player.isBusy) return;
         if (rows <= 0 || rows > 10 || cols <= 0 || cols > 10) {
             showMessage('Please use dimensions between 1 and 10.', 'error');
             return;
@@ -88,64 +371,802 @@ class TwoDArrayVisualizer {
         this.grid = Array.from({ length: rows }, () => 
             Array.from({ length: cols }, () => Math.floor(Math.random() * 90) + 10)
         );
+        this.clearMarks();
+        this.labels = null;
+        this.player.clear();
         this.draw();
         showMessage(`Grid of size ${rows}x${cols} created.`, 'success');
         statusDisplay.textContent = 'Ready.';
     }
 
     async set(row, col, value) {
-        if (this.isAnimating || !this.grid.length || row < 0 || row >= this.grid.length || col < 0 || col >= this.grid[0].length) {
+        if (this.player.isBusy) return;
+        if (!this.grid.length || row < 0 || row >= this.grid.length || col < 0 || col >= this.grid[0].length) {
             showMessage('Invalid row or column index.', 'error');
             return;
         }
-        this.isAnimating = true;
-        statusDisplay.textContent = `Setting value at [${row}][${col}] to ${value}...`;
-        
+        this.player.begin(`Setting value at [${row}][${col}] to ${value}...`);
+
         this.grid[row][col] = value;
-        this.draw({ [`${row}-${col}`]: '#4ade80' }); // Highlight green
-        await sleep(800);
-        this.draw();
-        
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        this.player.record({ [`${row}-${col}`]: '#4ade80' }, 800); // Highlight green
+
+        await this.player.finish();
     }
 
     async search(value) {
-        if (this.isAnimating || !this.grid.length) return;
-        this.isAnimating = true;
-
-        let found = false;
-        let foundPos = {};
+        if (this.player.isBusy || !this.grid.length) return;
+        this.player.begin(`Searching for ${value}...`);
 
-        for (let r = 0; r < this.grid.length; r++) {
+        let foundPos = null;
+        for (let r = 0; r < this.grid.length && !foundPos; r++) {
             for (let c = 0; c < this.grid[r].length; c++) {
-                if(this.isAnimating == false) return; // Allow early exit
-                
-                statusDisplay.textContent = `Searching at [${r}][${c}]...`;
-                const highlights = { [`${r}-${c}`]: '#fde047' }; // Highlight yellow
-                this.draw(highlights);
-                await sleep(150);
+                this.player.describe(`Searching at [${r}][${c}]...`);
+                this.player.record({ [`${r}-${c}`]: '#fde047' }, 150); // Highlight yellow
 
                 if (this.grid[r][c] === value) {
-                    found = true;
                     foundPos = { r, c };
                     break;
                 }
             }
-            if (found) break;
         }
 
-        if (found) {
-            statusDisplay.textContent = `Found ${value} at [${foundPos.r}][${foundPos.c}]!`;
-            this.draw({ [`${foundPos.r}-${foundPos.c}`]: '#22c55e' }); // Highlight green
-            showMessage(`Found ${value}!`, 'success');
+        if (foundPos) {
+            this.player.describe(`Found ${value} at [${foundPos.r}][${foundPos.c}]!`);
+            this.player.record({ [`${foundPos.r}-${foundPos.c}`]: '#22c55e' }, 1000); // Highlight green
+            await this.player.finish({ message: [`Found ${value}!`, 'success'] });
         } else {
-            statusDisplay.textContent = `Value ${value} not found in the grid.`;
-            this.draw();
-            showMessage(`${value} not found.`, 'error');
+            await this.player.finish({ text: `Value ${value} not found in the grid.`, message: [`${value} not found.`, 'error'] });
+        }
+    }
+
+    // --- TRAVERSALS ---
+    traversalOrder(type, rows, cols) {
+        const order = [];
+        switch (type) {
+            case 'rowMajor':
+                for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) order.push([r, c]);
+                break;
+            case 'columnMajor':
+                for (let c = 0; c < cols; c++) for (let r = 0; r < rows; r++) order.push([r, c]);
+                break;
+            case 'zigzag': // Snake: left to right on even rows, right to left on odd rows
+                for (let r = 0; r < rows; r++) {
+                    for (let i = 0; i < cols; i++) order.push([r, r % 2 === 0 ? i : cols - 1 - i]);
+                }
+                break;
+            case 'antiDiagonal': // Each diagonal where r + c is constant, from the top-right end down
+                for (let d = 0; d <= rows + cols - 2; d++) {
+                    for (let r = Math.max(0, d - cols + 1); r <= Math.min(rows - 1, d); r++) order.push([r, d - r]);
+                }
+                break;
+            case 'spiral': {
+                let top = 0, bottom = rows - 1, left = 0, right = cols - 1;
+                while (top <= bottom && left <= right) {
+                    for (let c = left; c <= right; c++) order.push([top, c]);
+                    for (let r = top + 1; r <= bottom; r++) order.push([r, right]);
+                    if (top < bottom) for (let c = right - 1; c >= left; c--) order.push([bottom, c]);
+                    if (left < right) for (let r = bottom - 1; r > top; r--) order.push([r, left]);
+                    top++; bottom--; left++; right--;
+                }
+                break;
+            }
+            case 'boundary': // The outermost ring of the spiral
+                return this.traversalOrder('spiral', rows, cols).slice(0, rows === 1 || cols === 1 ? rows * cols : 2 * (rows + cols) - 4);
+        }
+        return order;
+    }
+
+    async traverse(type) {
+        if (this.player.isBusy) return;
+        if (!this.grid.length) {
+            showMessage('Create a grid first.', 'error');
+            return;
+        }
+        const name = TRAVERSALS[type];
+        const order = this.traversalOrder(type, this.grid.length, this.grid[0].length);
+        this.player.begin(`${name} traversal...`);
+
+        const visited = {};
+        order.forEach(([r, c], i) => {
+            this.player.describe(`${name}: step ${i + 1} of ${order.length}, visiting [${r}][${c}] = ${this.grid[r][c]}`);
+            this.player.record({ ...visited, [`${r}-${c}`]: '#fde047' }, 250, { path: order.slice(0, i + 1) }); // Current cell yellow
+            visited[`${r}-${c}`] = '#bfdbfe'; // Visited cells blue
+        });
+
+        const values = order.map(([r, c]) => this.grid[r][c]).join(', ');
+        await this.player.finish({ path: order, text: `${name} order: ${values}`, message: [`${name} traversal visited ${order.length} cells.`, 'success'] });
+    }
+
+    // --- TRANSFORMS ---
+    async transform(type) {
+        if (this.player.isBusy) return;
+        if (!this.grid.length) {
+            showMessage('Create a grid first.', 'error');
+            return;
+        }
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        if ((type === 'rotateClockwise' || type === 'rotateCounterClockwise') && rows !== cols) {
+            showMessage('Rotating in place needs a square grid.', 'error');
+            return;
+        }
+        if (type === 'setZeroes' && !this.grid.some(row => row.includes(0))) {
+            showMessage('The grid has no zeroes. Use Set to place a 0 first.', 'error');
+            return;
+        }
+        this.labels = null;
+        this.player.begin(`${TRANSFORMS[type]}...`);
+
+        switch (type) {
+            case 'transpose': this.transpose(); break;
+            case 'rotateClockwise': this.rotate(true); break;
+            case 'rotateCounterClockwise': this.rotate(false); break;
+            case 'flipHorizontal': this.flip(true); break;
+            case 'flipVertical': this.flip(false); break;
+            case 'setZeroes': this.setZeroes(); break;
+        }
+        await this.player.finish({ message: [`${TRANSFORMS[type]} complete.`, 'success'] });
+    }
+
+    // Records the cells before and after moving their values one place along the cycle
+    // (a swap is a cycle of two): cells[0] -> cells[1] -> ... -> cells[0]
+    recordCycle(cells, caption) {
+        const keys = cells.map(([r, c]) => `${r}-${c}`);
+        const paint = color => Object.fromEntries(keys.map(key => [key, color]));
+        this.player.describe(caption);
+        this.player.record(paint('#fde047'), 500); // Highlight yellow
+
+        const values = cells.map(([r, c]) => this.grid[r][c]);
+        cells.forEach(([r, c], i) => { this.grid[r][c] = values[(i - 1 + cells.length) % cells.length]; });
+        this.player.record(paint('#4ade80'), 500); // Highlight green
+    }
+
+    transpose() {
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        if (rows === cols) {
+            for (let r = 0; r < rows; r++) {
+                for (let c = r + 1; c < cols; c++) this.recordCycle([[r, c], [c, r]], `Swapping [${r}][${c}] and [${c}][${r}]`);
+            }
+            return;
+        }
+        // A non-square grid changes shape, so the values are copied into a new cols x rows grid
+        const source = this.grid;
+        this.clearMarks();
+        this.player.describe(`Copying into a ${cols}x${rows} grid...`);
+        this.grid = Array.from({ length: cols }, () => Array(rows).fill(''));
+        this.player.record({}, 500);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                this.grid[c][r] = source[r][c];
+                this.player.describe(`Copying [${r}][${c}] = ${source[r][c]} to [${c}][${r}]`);
+                this.player.record({ [`${c}-${r}`]: '#4ade80' }, 250);
+            }
+        }
+    }
+
+    // Layer by layer from the outside in, each group of four cells rotates with one four-way swap
+    rotate(clockwise) {
+        const n = this.grid.length;
+        const direction = clockwise ? 'clockwise' : 'counter-clockwise';
+        for (let layer = 0; layer < Math.floor(n / 2); layer++) {
+            const first = layer;
+            const last = n - 1 - layer;
+            for (let i = first; i < last; i++) {
+                const offset = i - first;
+                const ring = [[first, i], [i, last], [last, last - offset], [last - offset, first]]; // top, right, bottom, left
+                if (!clockwise) ring.reverse();
+                const cells = ring.map(([r, c]) => `[${r}][${c}]`).join(', ');
+                this.recordCycle(ring, `Layer ${layer}: rotating ${cells} ${direction}`);
+            }
+        }
+    }
+
+    // A horizontal flip mirrors each row left to right; a vertical flip mirrors the rows top to bottom
+    flip(horizontal) {
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        if (horizontal) {
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < Math.floor(cols / 2); c++) {
+                    this.recordCycle([[r, c], [r, cols - 1 - c]], `Swapping [${r}][${c}] and [${r}][${cols - 1 - c}]`);
+                }
+            }
+        } else {
+            for (let r = 0; r < Math.floor(rows / 2); r++) {
+                for (let c = 0; c < cols; c++) {
+                    this.recordCycle([[r, c], [rows - 1 - r, c]], `Swapping [${r}][${c}] and [${rows - 1 - r}][${c}]`);
+                }
+            }
+        }
+    }
+
+    // O(1) extra space: the first row and column hold the markers for the rest of the grid,
+    // so whether they contain a zero themselves is saved in two flags first
+    setZeroes() {
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        const grid = this.grid;
+        const firstRowZero = grid[0].includes(0);
+        const firstColZero = grid.some(row => row[0] === 0);
+        this.player.describe(`First row ${firstRowZero ? 'has' : 'has no'} zero, first column ${firstColZero ? 'has' : 'has no'} zero`);
+        const firstLine = {};
+        for (let c = 0; c < cols; c++) firstLine[`0-${c}`] = '#e0e7ff'; // indigo-100
+        for (let r = 0; r < rows; r++) firstLine[`${r}-0`] = '#e0e7ff';
+        this.player.record(firstLine, 800);
+
+        for (let r = 1; r < rows; r++) {
+            for (let c = 1; c < cols; c++) {
+                if (grid[r][c] !== 0) continue;
+                grid[r][0] = 0;
+                grid[0][c] = 0;
+                this.player.describe(`Zero at [${r}][${c}]: marking [${r}][0] and [0][${c}]`);
+                this.player.record({ ...firstLine, [`${r}-${c}`]: '#f87171', [`${r}-0`]: '#fb923c', [`0-${c}`]: '#fb923c' }, 700);
+            }
+        }
+
+        for (let r = 1; r < rows; r++) {
+            for (let c = 1; c < cols; c++) {
+                if (grid[r][0] !== 0 && grid[0][c] !== 0) continue;
+                grid[r][c] = 0;
+                const marker = grid[r][0] === 0 ? `${r}-0` : `0-${c}`;
+                this.player.describe(`Marker at [${marker.replace('-', '][')}] zeroes [${r}][${c}]`);
+                this.player.record({ [marker]: '#fb923c', [`${r}-${c}`]: '#f87171' }, 250);
+            }
+        }
+
+        if (firstRowZero) {
+            grid[0].fill(0);
+            this.player.describe('Zeroing the first row');
+            this.player.record(Object.fromEntries(grid[0].map((_, c) => [`0-${c}`, '#f87171'])), 600);
+        }
+        if (firstColZero) {
+            grid.forEach(row => { row[0] = 0; });
+            this.player.describe('Zeroing the first column');
+            this.player.record(Object.fromEntries(grid.map((_, r) => [`${r}-0`, '#f87171'])), 600);
+        }
+    }
+
+    // --- GRID SEARCH ---
+    clearMarks() {
+        this.walls.clear();
+        this.start = null;
+        this.goal = null;
+    }
+
+    // Clicking a cell toggles a wall or moves the start or goal onto it
+    markCell(r, c, mode) {
+        if (this.player.isBusy) return;
+        const key = `${r}-${c}`;
+        if (mode === 'wall') {
+            if (key === this.start || key === this.goal) return;
+            if (this.walls.has(key)) this.walls.delete(key);
+            else this.walls.add(key);
+        } else {
+            this.walls.delete(key);
+            if (mode === 'start') {
+                this.start = key;
+                if (this.goal === key) this.goal = null;
+            } else {
+                this.goal = key;
+                if (this.start === key) this.start = null;
+            }
+        }
+        this.player.clear();
+        this.draw();
+    }
+
+    // Fills the grid with random 0s and 1s, the usual input for flood fill and island counting
+    randomizeBinary() {
+        if (this.player.isBusy) return;
+        if (!this.grid.length) {
+            showMessage('Create a grid first.', 'error');
+            return;
+        }
+        this.grid = this.grid.map(row => row.map(() => (Math.random() < 0.45 ? 1 : 0)));
+        this.labels = null;
+        this.player.clear();
+        this.draw();
+        statusDisplay.textContent = 'Ready. 1 is land, 0 is water.';
+    }
+
+    // Up, right, down and left neighbours that are inside the grid and not walls
+    neighbors(r, c) {
+        return [[r - 1, c], [r, c + 1], [r + 1, c], [r, c - 1]].filter(([nr, nc]) =>
+            nr >= 0 && nr < this.grid.length && nc >= 0 && nc < this.grid[0].length && !this.walls.has(`${nr}-${nc}`)
+        );
+    }
+
+    // All four searches share one loop and differ only in which frontier entry is expanded next:
+    // BFS the oldest, DFS the newest, Dijkstra the cheapest and A* the cheapest cost plus estimate.
+    // Entering a cell costs its value, so BFS and DFS ignore the weights.
+    async findPath(type) {
+        if (this.player.isBusy) return;
+        if (!this.grid.length || !this.start || !this.goal) {
+            showMessage('Click cells to place a start and a goal first.', 'error');
+            return;
+        }
+        const weighted = type === 'dijkstra' || type === 'aStar';
+        if (weighted && this.grid.some(row => row.some(value => typeof value !== 'number' || value < 0))) {
+            showMessage(`${PATHFINDERS[type]} needs non-negative cell values.`, 'error');
+            return;
+        }
+        const [startR, startC] = this.start.split('-').map(Number);
+        const [goalR, goalC] = this.goal.split('-').map(Number);
+        const name = PATHFINDERS[type];
+        this.player.begin(`${name} from [${startR}][${startC}] to [${goalR}][${goalC}]...`);
+
+        // A* scales the Manhattan distance by the cheapest cell so the estimate never overshoots
+        const minWeight = Math.min(...this.grid.flat());
+        const estimate = (r, c) => (type === 'aStar' ? (Math.abs(goalR - r) + Math.abs(goalC - c)) * minWeight : 0);
+
+        const frontier = [{ r: startR, c: startC, cost: 0 }];
+        const discovered = new Set([this.start]);
+        const best = new Map([[this.start, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        let found = false;
+
+        while (frontier.length) {
+            let next = 0;
+            if (type === 'dfs') next = frontier.length - 1;
+            if (weighted) {
+                frontier.forEach((entry, i) => {
+                    const chosen = frontier[next];
+                    if (entry.cost + estimate(entry.r, entry.c) < chosen.cost + estimate(chosen.r, chosen.c)) next = i;
+                });
+            }
+            const { r, c, cost } = frontier.splice(next, 1)[0];
+            const key = `${r}-${c}`;
+            if (visited.has(key)) continue; // A stale entry left behind by a cheaper one
+            visited.add(key);
+
+            const highlights = {};
+            visited.forEach(k => { highlights[k] = '#bfdbfe'; }); // Visited blue
+            frontier.forEach(entry => { if (!visited.has(`${entry.r}-${entry.c}`)) highlights[`${entry.r}-${entry.c}`] = '#fde68a'; }); // Frontier amber
+            highlights[key] = '#fde047'; // Current yellow
+            const detail = weighted ? `, cost ${cost}${type === 'aStar' ? ` + estimate ${estimate(r, c)}` : ''}` : '';
+            this.player.describe(`${name}: expanding [${r}][${c}]${detail} · frontier ${frontier.length} · visited ${visited.size}`);
+            this.player.record(highlights, 250);
+
+            if (key === this.goal) {
+                found = true;
+                break;
+            }
+            const neighbors = this.neighbors(r, c);
+            if (type === 'dfs') neighbors.reverse(); // So the first neighbour is expanded first
+            neighbors.forEach(([nr, nc]) => {
+                const nextKey = `${nr}-${nc}`;
+                if (visited.has(nextKey)) return;
+                if (weighted) {
+                    const nextCost = cost + this.grid[nr][nc];
+                    if (best.has(nextKey) && best.get(nextKey) <= nextCost) return;
+                    best.set(nextKey, nextCost);
+                    previous.set(nextKey, key);
+                    frontier.push({ r: nr, c: nc, cost: nextCost });
+                } else if (type === 'dfs') {
+                    previous.set(nextKey, key);
+                    frontier.push({ r: nr, c: nc, cost: 0 });
+                } else if (!discovered.has(nextKey)) {
+                    discovered.add(nextKey);
+                    previous.set(nextKey, key);
+                    frontier.push({ r: nr, c: nc, cost: 0 });
+                }
+            });
+        }
+
+        if (!found) {
+            await this.player.finish({ text: `${name} visited ${visited.size} cells. The goal cannot be reached.`, message: ['No path found.', 'error'] });
+            return;
+        }
+
+        const path = [];
+        for (let key = this.goal; key; key = previous.get(key)) path.unshift(key.split('-').map(Number));
+        const onPath = {};
+        path.forEach(([r, c], i) => {
+            onPath[`${r}-${c}`] = '#4ade80'; // Path green
+            this.player.describe(`Tracing the path back: step ${i + 1} of ${path.length}`);
+            this.player.record({ ...onPath }, 120, { path: path.slice(0, i + 1) });
+        });
+        // Only the weighted searches checked that every cell is a number; BFS and DFS count moves
+        const cost = weighted ? `, cost ${path.slice(1).reduce((sum, [r, c]) => sum + this.grid[r][c], 0)}` : '';
+        const summary = `${path.length - 1} moves${cost}, ${visited.size} cells visited`;
+        await this.player.finish({ path, text: `${name} path: ${summary}.`, message: [`Path found: ${summary}.`, 'success'] });
+    }
+
+    // Replaces the start cell's value across its 4-connected region of equal values
+    async floodFill(value) {
+        if (this.player.isBusy) return;
+        if (!this.grid.length || !this.start) {
+            showMessage('Click a cell to place the start of the fill first.', 'error');
+            return;
+        }
+        const [startR, startC] = this.start.split('-').map(Number);
+        const target = this.grid[startR][startC];
+        if (target === value) {
+            showMessage(`The region already holds ${value}.`, 'info');
+            return;
+        }
+        this.player.begin(`Flood filling ${target} with ${value} from [${startR}][${startC}]...`);
+
+        const filled = {};
+        const queue = [[startR, startC]];
+        this.grid[startR][startC] = value;
+        while (queue.length) {
+            const [r, c] = queue.shift();
+            filled[`${r}-${c}`] = '#93c5fd'; // Filled blue
+            this.player.describe(`Filling [${r}][${c}] · ${queue.length} cells queued`);
+            this.player.record({ ...filled, [`${r}-${c}`]: '#fde047' }, 200);
+            this.neighbors(r, c).forEach(([nr, nc]) => {
+                if (this.grid[nr][nc] !== target) return;
+                this.grid[nr][nc] = value; // Set on enqueue so no cell is queued twice
+                queue.push([nr, nc]);
+            });
+        }
+        const count = Object.keys(filled).length;
+        await this.player.finish({ text: `Filled ${count} cell${count === 1 ? '' : 's'} with ${value}.`, message: [`Filled ${count} cell${count === 1 ? '' : 's'}.`, 'success'] });
+    }
+
+    // Every non-zero cell that is not a wall is land; each unvisited land cell found by the
+    // row-major scan starts a new island, which a BFS then colours in
+    async countIslands() {
+        if (this.player.isBusy) return;
+        if (!this.grid.length) {
+            showMessage('Create a grid first.', 'error');
+            return;
         }
+        this.player.begin('Counting islands...');
+
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        const isLand = (r, c) => this.grid[r][c] !== 0 && !this.walls.has(`${r}-${c}`);
+        const islands = {};
+        let count = 0;
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const key = `${r}-${c}`;
+                this.player.describe(`Scanning [${r}][${c}] · ${count} island${count === 1 ? '' : 's'} so far`);
+                this.player.record({ ...islands, [key]: '#fde047' }, 100);
+                if (!isLand(r, c) || islands[key]) continue;
+
+                const color = ISLAND_COLORS[count % ISLAND_COLORS.length];
+                count++;
+                const queue = [[r, c]];
+                islands[key] = color;
+                while (queue.length) {
+                    const [cr, cc] = queue.shift();
+                    this.player.describe(`Island ${count}: adding [${cr}][${cc}]`);
+                    this.player.record({ ...islands }, 150);
+                    this.neighbors(cr, cc).forEach(([nr, nc]) => {
+                        if (!isLand(nr, nc) || islands[`${nr}-${nc}`]) return;
+                        islands[`${nr}-${nc}`] = color;
+                        queue.push([nr, nc]);
+                    });
+                }
+            }
+        }
+        const summary = `Found ${count} island${count === 1 ? '' : 's'}.`;
+        this.player.describe(summary);
+        this.player.record({ ...islands }, 1000);
+        await this.player.finish({ text: summary, message: [summary, 'success'] });
+    }
+
+    // --- DP TABLES ---
+    // Parses the two inputs, then fills the table cell by cell and backtracks to the answer
+    async solveDP(type, first, second) {
+        if (this.player.isBusy) return;
+        const parseList = text => text.split(',').map(part => part.trim()).filter(Boolean);
+        const isCount = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+        let run;
+        switch (type) {
+            case 'lcs':
+            case 'editDistance':
+                if (!first || !second || first.length > 9 || second.length > 9) {
+                    showMessage('Please enter two strings of 1 to 9 characters.', 'error');
+                    return;
+                }
+                run = () => (type === 'lcs' ? this.lcsTable(first, second) : this.editDistanceTable(first, second));
+                break;
+            case 'knapsack': {
+                const items = parseList(first).map(item => item.split(':').map(Number));
+                const capacity = Number(second);
+                if (!items.length || items.length > 9 || items.some(([w, v]) => !isCount(w, 1, 15) || !Number.isFinite(v))) {
+                    showMessage('Enter 1 to 9 items as weight:value with weights from 1 to 15.', 'error');
+                    return;
+                }
+                if (!isCount(capacity, 1, 15)) {
+                    showMessage('Please enter a capacity between 1 and 15.', 'error');
+                    return;
+                }
+                run = () => this.knapsackTable(items, capacity);
+                break;
+            }
+            case 'uniquePaths': {
+                const rows = Number(first);
+                const cols = Number(second);
+                if (!isCount(rows, 1, 10) || !isCount(cols, 1, 10)) {
+                    showMessage('Please use dimensions between 1 and 10.', 'error');
+                    return;
+                }
+                run = () => this.uniquePathsTable(rows, cols);
+                break;
+            }
+            case 'coinChange': {
+                const coins = [...new Set(parseList(first).map(Number))];
+                const amount = Number(second);
+                if (!coins.length || coins.length > 9 || coins.some(coin => !isCount(coin, 1, 15))) {
+                    showMessage('Enter 1 to 9 coin values between 1 and 15.', 'error');
+                    return;
+                }
+                if (!isCount(amount, 1, 15)) {
+                    showMessage('Please enter an amount between 1 and 15.', 'error');
+                    return;
+                }
+                run = () => this.coinChangeTable(coins, amount);
+                break;
+            }
+        }
+
+        this.player.begin(`${DP_PROBLEMS[type].name}...`);
+        const summary = run();
+        await this.player.finish({ text: summary, message: [summary, 'success'] });
+    }
+
+    // Replaces the grid with an empty table; the DP methods keep their numbers in a separate dp array
+    startTable(rows, cols, rowLabels, colLabels) {
+        this.grid = Array.from({ length: rows }, () => Array(cols).fill(''));
+        this.labels = { rows: rowLabels, cols: colLabels };
+        this.clearMarks();
+    }
+
+    showValue(value) {
+        return value === Infinity ? '∞' : value;
+    }
+
+    // Records a whole base row or column at once
+    fillBase(cells, dp, caption) {
+        cells.forEach(([r, c]) => { this.grid[r][c] = this.showValue(dp[r][c]); });
+        this.player.describe(caption);
+        this.player.record(Object.fromEntries(cells.map(([r, c]) => [`${r}-${c}`, '#e0e7ff'])), 600); // indigo-100
+    }
 
-        this.isAnimating = false;
+    // Records one cell with arrows to the cells its value was computed from
+    fillCell(r, c, dp, deps, caption) {
+        this.grid[r][c] = this.showValue(dp[r][c]);
+        const highlights = Object.fromEntries(deps.map(([dr, dc]) => [`${dr}-${dc}`, '#bfdbfe'])); // Dependencies blue
+        highlights[`${r}-${c}`] = '#fde047'; // Current yellow
+        this.player.describe(`[${r}][${c}] ${caption}`);
+        this.player.record(highlights, 300, { arrows: deps.map(dep => [[r, c], dep]) });
+    }
+
+    // cells runs from the answer back to the base case; captions[i] describes the move onto cells[i]
+    recordBacktrack(cells, captions) {
+        const onPath = {};
+        cells.forEach(([r, c], i) => {
+            onPath[`${r}-${c}`] = '#4ade80'; // Backtrack green
+            this.player.describe(`Backtracking: ${captions[i]}`);
+            this.player.record({ ...onPath }, 500, { arrows: cells.slice(1, i + 1).map((cell, j) => [cells[j], cell]) });
+        });
+    }
+
+    lcsTable(a, b) {
+        const m = a.length;
+        const n = b.length;
+        const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
+        this.startTable(m + 1, n + 1, ['ε', ...a], ['ε', ...b]);
+        const base = [];
+        for (let j = 0; j <= n; j++) base.push([0, j]);
+        for (let i = 1; i <= m; i++) base.push([i, 0]);
+        this.fillBase(base, dp, 'Base case: an LCS with an empty string has length 0');
+
+        for (let i = 1; i <= m; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (a[i - 1] === b[j - 1]) {
+                    dp[i][j] = dp[i - 1][j - 1] + 1;
+                    this.fillCell(i, j, dp, [[i - 1, j - 1]], `'${a[i - 1]}' matches: 1 + diagonal ${dp[i - 1][j - 1]} = ${dp[i][j]}`);
+                } else {
+                    dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+                    this.fillCell(i, j, dp, [[i - 1, j], [i, j - 1]], `'${a[i - 1]}' ≠ '${b[j - 1]}': max(up ${dp[i - 1][j]}, left ${dp[i][j - 1]}) = ${dp[i][j]}`);
+                }
+            }
+        }
+
+        const cells = [[m, n]];
+        const captions = [`start at [${m}][${n}] = ${dp[m][n]}`];
+        const letters = [];
+        let i = m;
+        let j = n;
+        while (i > 0 && j > 0) {
+            if (a[i - 1] === b[j - 1]) {
+                letters.unshift(a[i - 1]);
+                captions.push(`'${a[i - 1]}' is in the LCS, move diagonally`);
+                i--; j--;
+            } else if (dp[i - 1][j] >= dp[i][j - 1]) {
+                captions.push('move up to the larger neighbour');
+                i--;
+            } else {
+                captions.push('move left to the larger neighbour');
+                j--;
+            }
+            cells.push([i, j]);
+        }
+        this.recordBacktrack(cells, captions);
+        return `LCS "${letters.join('')}" has length ${dp[m][n]}.`;
+    }
+
+    editDistanceTable(a, b) {
+        const m = a.length;
+        const n = b.length;
+        const dp = Array.from({ length: m + 1 }, (_, i) => Array.from({ length: n + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+        this.startTable(m + 1, n + 1, ['ε', ...a], ['ε', ...b]);
+        const firstRow = [];
+        for (let j = 0; j <= n; j++) firstRow.push([0, j]);
+        this.fillBase(firstRow, dp, 'Base case: turning "" into the first j letters takes j inserts');
+        const firstCol = [];
+        for (let i = 1; i <= m; i++) firstCol.push([i, 0]);
+        this.fillBase(firstCol, dp, 'Base case: turning the first i letters into "" takes i deletes');
+
+        for (let i = 1; i <= m; i++) {
+            for (let j = 1; j <= n; j++) {
+                if (a[i - 1] === b[j - 1]) {
+                    dp[i][j] = dp[i - 1][j - 1];
+                    this.fillCell(i, j, dp, [[i - 1, j - 1]], `'${a[i - 1]}' matches: copy diagonal ${dp[i][j]}`);
+                } else {
+                    dp[i][j] = 1 + Math.min(dp[i - 1][j - 1], dp[i - 1][j], dp[i][j - 1]);
+                    this.fillCell(i, j, dp, [[i - 1, j - 1], [i - 1, j], [i, j - 1]],
+                        `1 + min(replace ${dp[i - 1][j - 1]}, delete ${dp[i - 1][j]}, insert ${dp[i][j - 1]}) = ${dp[i][j]}`);
+                }
+            }
+        }
+
+        const cells = [[m, n]];
+        const captions = [`start at [${m}][${n}] = ${dp[m][n]}`];
+        const operations = [];
+        let i = m;
+        let j = n;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && a[i - 1] === b[j - 1]) {
+                captions.push(`keep '${a[i - 1]}'`);
+                i--; j--;
+            } else if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + 1) {
+                operations.unshift(`replace ${a[i - 1]}→${b[j - 1]}`);
+                captions.push(`replace '${a[i - 1]}' with '${b[j - 1]}'`);
+                i--; j--;
+            } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+                operations.unshift(`delete ${a[i - 1]}`);
+                captions.push(`delete '${a[i - 1]}'`);
+                i--;
+            } else {
+                operations.unshift(`insert ${b[j - 1]}`);
+                captions.push(`insert '${b[j - 1]}'`);
+                j--;
+            }
+            cells.push([i, j]);
+        }
+        this.recordBacktrack(cells, captions);
+        return `Edit distance ${dp[m][n]}${operations.length ? `: ${operations.join(', ')}` : ''}.`;
+    }
+
+    knapsackTable(items, capacity) {
+        const n = items.length;
+        const dp = Array.from({ length: n + 1 }, () => Array(capacity + 1).fill(0));
+        this.startTable(n + 1, capacity + 1, ['-', ...items.map(([w, v]) => `${w}:${v}`)], Array.from({ length: capacity + 1 }, (_, c) => c));
+        const base = [];
+        for (let c = 0; c <= capacity; c++) base.push([0, c]);
+        this.fillBase(base, dp, 'Base case: with no items the best value is 0');
+
+        for (let i = 1; i <= n; i++) {
+            const [weight, value] = items[i - 1];
+            for (let c = 0; c <= capacity; c++) {
+                if (weight > c) {
+                    dp[i][c] = dp[i - 1][c];
+                    this.fillCell(i, c, dp, [[i - 1, c]], `item ${i} (weight ${weight}) does not fit: copy ${dp[i][c]}`);
+                } else {
+                    dp[i][c] = Math.max(dp[i - 1][c], dp[i - 1][c - weight] + value);
+                    this.fillCell(i, c, dp, [[i - 1, c], [i - 1, c - weight]],
+                        `item ${i}: max(skip ${dp[i - 1][c]}, take ${dp[i - 1][c - weight]} + ${value}) = ${dp[i][c]}`);
+                }
+            }
+        }
+
+        const cells = [[n, capacity]];
+        const captions = [`start at [${n}][${capacity}] = ${dp[n][capacity]}`];
+        const taken = [];
+        let c = capacity;
+        for (let i = n; i > 0; i--) {
+            if (dp[i][c] !== dp[i - 1][c]) {
+                taken.unshift(i);
+                captions.push(`item ${i} was taken, capacity ${c} - ${items[i - 1][0]}`);
+                c -= items[i - 1][0];
+            } else {
+                captions.push(`item ${i} was skipped`);
+            }
+            cells.push([i - 1, c]);
+        }
+        this.recordBacktrack(cells, captions);
+        return `Best value ${dp[n][capacity]}${taken.length ? ` with item${taken.length === 1 ? '' : 's'} ${taken.join(', ')}` : ''}.`;
+    }
+
+    uniquePathsTable(rows, cols) {
+        const dp = Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => (r === 0 || c === 0 ? 1 : 0)));
+        this.startTable(rows, cols, Array.from({ length: rows }, (_, r) => r), Array.from({ length: cols }, (_, c) => c));
+        const base = [];
+        for (let c = 0; c < cols; c++) base.push([0, c]);
+        for (let r = 1; r < rows; r++) base.push([r, 0]);
+        this.fillBase(base, dp, 'Base case: the first row and column can only be reached one way');
+
+        for (let r = 1; r < rows; r++) {
+            for (let c = 1; c < cols; c++) {
+                dp[r][c] = dp[r - 1][c] + dp[r][c - 1];
+                this.fillCell(r, c, dp, [[r - 1, c], [r, c - 1]], `up ${dp[r - 1][c]} + left ${dp[r][c - 1]} = ${dp[r][c]}`);
+            }
+        }
+
+        // Any route back is one of the paths; this one follows the larger count
+        const total = dp[rows - 1][cols - 1];
+        const cells = [[rows - 1, cols - 1]];
+        const captions = [`start at [${rows - 1}][${cols - 1}] = ${total}, tracing one of the paths`];
+        let r = rows - 1;
+        let c = cols - 1;
+        while (r > 0 || c > 0) {
+            if (c === 0 || (r > 0 && dp[r - 1][c] >= dp[r][c - 1])) {
+                captions.push(`came from above (${dp[r - 1][c]} paths)`);
+                r--;
+            } else {
+                captions.push(`came from the left (${dp[r][c - 1]} paths)`);
+                c--;
+            }
+            cells.push([r, c]);
+        }
+        this.recordBacktrack(cells, captions);
+        return `${total} unique path${total === 1 ? '' : 's'} through a ${rows}x${cols} grid.`;
+    }
+
+    // Row i uses the first i coin types, so each coin can be reused along its own row
+    coinChangeTable(coins, amount) {
+        const n = coins.length;
+        const dp = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: amount + 1 }, (_, a) => (i === 0 && a > 0 ? Infinity : 0)));
+        this.startTable(n + 1, amount + 1, ['-', ...coins], Array.from({ length: amount + 1 }, (_, a) => a));
+        const base = [];
+        for (let a = 0; a <= amount; a++) base.push([0, a]);
+        this.fillBase(base, dp, 'Base case: with no coins only 0 can be made');
+        const firstCol = [];
+        for (let i = 1; i <= n; i++) firstCol.push([i, 0]);
+        this.fillBase(firstCol, dp, 'Base case: 0 takes no coins');
+
+        for (let i = 1; i <= n; i++) {
+            const coin = coins[i - 1];
+            for (let a = 1; a <= amount; a++) {
+                if (coin > a) {
+                    dp[i][a] = dp[i - 1][a];
+                    this.fillCell(i, a, dp, [[i - 1, a]], `coin ${coin} is too large: copy ${this.showValue(dp[i][a])}`);
+                } else {
+                    dp[i][a] = Math.min(dp[i - 1][a], dp[i][a - coin] + 1);
+                    this.fillCell(i, a, dp, [[i - 1, a], [i, a - coin]],
+                        `min(without ${this.showValue(dp[i - 1][a])}, with ${coin}: ${this.showValue(dp[i][a - coin])} + 1) = ${this.showValue(dp[i][a])}`);
+                }
+            }
+        }
+
+        if (dp[n][amount] === Infinity) return `${amount} cannot be made from these coins.`;
+        const cells = [[n, amount]];
+        const captions = [`start at [${n}][${amount}] = ${dp[n][amount]}`];
+        const used = [];
+        let i = n;
+        let a = amount;
+        while (a > 0) {
+            if (dp[i][a] === dp[i - 1][a]) {
+                captions.push(`coin ${coins[i - 1]} is not needed`);
+                i--;
+            } else {
+                used.push(coins[i - 1]);
+                captions.push(`use coin ${coins[i - 1]}, ${a - coins[i - 1]} left`);
+                a -= coins[i - 1];
+            }
+            cells.push([i, a]);
+        }
+        this.recordBacktrack(cells, captions);
+        return `${used.length} coin${used.length === 1 ? '' : 's'}: ${used.join(' + ')} = ${amount}.`;
     }
 
     setupEventListeners() {
@@ -174,6 +1195,78 @@ class TwoDArrayVisualizer {
             }
             this.search(value);
         });
+
+        document.getElementById('traverse-btn').addEventListener('click', () => {
+            this.traverse(document.getElementById('traversal-select').value);
+        });
+
+        document.getElementById('transform-btn').addEventListener('click', () => {
+            this.transform(document.getElementById('transform-select').value);
+        });
+
+        canvas.addEventListener('click', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const cell = this.cellAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (cell) this.markCell(...cell, document.getElementById('mark-select').value);
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            this.setHoverCell(this.cellAt(x, y) || this.memoryCellAt(x, y));
+        });
+        canvas.addEventListener('mouseleave', () => this.setHoverCell(null));
+
+        document.getElementById('clear-marks-btn').addEventListener('click', () => {
+            if (this.player.isBusy) return;
+            this.clearMarks();
+            this.player.clear();
+            this.draw();
+        });
+
+        document.getElementById('binary-grid-btn').addEventListener('click', () => this.randomizeBinary());
+
+        document.getElementById('path-btn').addEventListener('click', () => {
+            this.findPath(document.getElementById('path-select').value);
+        });
+
+        document.getElementById('flood-fill-btn').addEventListener('click', () => {
+            const value = parseInt(document.getElementById('fill-value').value);
+            if (isNaN(value)) {
+                showMessage('Please enter a value to fill with.', 'error');
+                return;
+            }
+            this.floodFill(value);
+        });
+
+        document.getElementById('islands-btn').addEventListener('click', () => this.countIslands());
+
+        const dpSelect = document.getElementById('dp-select');
+        const dpFirst = document.getElementById('dp-first');
+        const dpSecond = document.getElementById('dp-second');
+        const showPlaceholders = () => {
+            dpFirst.placeholder = DP_PROBLEMS[dpSelect.value].first;
+            dpSecond.placeholder = DP_PROBLEMS[dpSelect.value].second;
+        };
+        dpSelect.addEventListener('change', showPlaceholders);
+        showPlaceholders();
+        document.getElementById('dp-btn').addEventListener('click', () => {
+            this.solveDP(dpSelect.value, dpFirst.value.trim(), dpSecond.value.trim());
+        });
+
+        document.getElementById('memory-show').addEventListener('change', (e) => this.updateMemory({ show: e.target.checked }));
+        document.getElementById('memory-order').addEventListener('change', (e) => this.updateMemory({ columnMajor: e.target.value === 'column' }));
+        document.getElementById('memory-size').addEventListener('change', (e) => this.updateMemory({ size: parseInt(e.target.value) }));
+        document.getElementById('memory-base').addEventListener('change', (e) => {
+            const base = parseInt(e.target.value); // Accepts hex with a 0x prefix
+            if (isNaN(base) || base < 0) {
+                showMessage('Please enter a non-negative base address, e.g. 0x1000.', 'error');
+                e.target.value = this.formatAddress(this.memory.base);
+                return;
+            }
+            this.updateMemory({ base });
+        });
     }
 }
 
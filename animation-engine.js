@@ -0,0 +1,232 @@
+// --- SHARED UTILITIES ---
+function showMessage(message, type = 'info', duration = 3000) {
+    const messageBox = document.getElementById('messageBox');
+    messageBox.textContent = message;
+    messageBox.className = `message-box bg-${type} show`;
+    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
+}
+
+function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+function nextFrame() { return new Promise(resolve => requestAnimationFrame(resolve)); }
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+// Pages that list their operations declare a global INFO table of { complexity, status };
+// complexity may carry markup, such as the hash pages' muted "avg" and "worst" labels
+function updateInfo(operation, statusText = null) {
+    const statusDisplay = document.getElementById('status-display');
+    const complexityDisplay = document.getElementById('complexity-display');
+    const info = typeof INFO !== 'undefined' ? INFO[operation] : undefined;
+    if (complexityDisplay) complexityDisplay.innerHTML = info ? info.complexity : 'O(?)';
+    if (statusDisplay) statusDisplay.textContent = statusText || (info ? info.status : 'Ready');
+}
+
+// --- STEP PLAYER ---
+// An operation runs to completion up front and records a list of frames: a copy of the data
+// (from the visualizer's captureFrame), the highlights to draw and a caption. Playback then
+// moves through the frames in either direction. The visualizer provides:
+//   captureFrame(highlights) -> the frame's data, including the highlights mapped onto that copy
+//   renderFrame(frame, animate) -> draws a frame; animate is true when stepping forward onto it
+//   draw() -> draws the live data when no recording is on screen
+// A visualizer with its own step format (the array sort player) can load() a timeline instead:
+//   { frameCount, show(index, animate), duration(index), stride() } where stride is the number
+//   of positions to advance per frame while playing
+class StepPlayer {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.frames = [];
+        this.timeline = null;
+        this.index = -1;
+        this.caption = '';
+        this.isPlaying = false;
+        this.isStepping = false;
+        this.speed = 1;
+        this.setupControls();
+    }
+
+    get frameCount() {
+        return this.timeline ? this.timeline.frameCount : this.frames.length;
+    }
+
+    // The recorded frame on screen, or null when the live data is shown
+    get currentFrame() {
+        return this.timeline ? null : this.frames[this.index] || null;
+    }
+
+    get isBusy() {
+        return this.isPlaying || this.isStepping;
+    }
+
+    // --- Recording ---
+    begin(caption) {
+        this.timeline = null;
+        this.frames = [];
+        this.index = -1;
+        this.caption = caption;
+        this.updateControls();
+    }
+
+    // Changes the status text of the frames recorded from here on
+    describe(caption) {
+        this.caption = caption;
+    }
+
+    // extras are visualizer-specific (e.g. tween, container) plus `text` and `message` handled here
+    record(highlights, duration = 400, extras = {}) {
+        this.frames.push({ ...this.visualizer.captureFrame(highlights), text: this.caption, duration, ...extras });
+    }
+
+    // Adds the resting frame and plays the recording from the start
+    async finish(extras = {}) {
+        this.caption = 'Ready.';
+        this.record(undefined, 0, extras);
+        await this.play();
+    }
+
+    load(timeline) {
+        this.timeline = timeline;
+        this.frames = [];
+        this.index = 0;
+        this.updateControls();
+    }
+
+    // Drops the recording so the live data is drawn again
+    clear() {
+        this.pause();
+        this.timeline = null;
+        this.frames = [];
+        this.index = -1;
+        this.updateControls();
+    }
+
+    // Shows the last recorded frame at once, for visualizers whose renderFrame restores state
+    settle() {
+        const last = this.frames.length - 1;
+        if (this.timeline || this.index >= last) return;
+        this.pause();
+        this.index = last;
+        this.visualizer.renderFrame(this.frames[last], false);
+        updateInfo(null, this.frames[last].text);
+        this.updateControls();
+    }
+
+    // Redraws whatever is on screen (after a resize, pan or zoom)
+    refresh() {
+        const frame = this.currentFrame;
+        if (frame) this.visualizer.renderFrame(frame, false);
+        else this.visualizer.draw();
+    }
+
+    // --- Transport ---
+    // Plays to the end; pressing Play on the last frame replays from the first
+    async play() {
+        if (this.isBusy || this.frameCount === 0) return;
+        if (this.index >= this.frameCount - 1) {
+            if (this.frameCount === 1) return;
+            await this.showFrame(0, false);
+        }
+        this.isPlaying = true;
+        this.updateControls();
+        while (this.isPlaying && this.index < this.frameCount - 1) {
+            await this.stepForward(true);
+            await this.wait(this.durationAt(this.index));
+        }
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    async stepForward(fromPlayer = false) {
+        if ((this.isPlaying && !fromPlayer) || this.isStepping) return;
+        if (this.index >= this.frameCount - 1) return;
+        this.isStepping = true;
+        // A timeline may advance several steps per frame while playing (large bar charts)
+        const stride = fromPlayer && this.timeline && this.timeline.stride ? this.timeline.stride() : 1;
+        await this.showFrame(Math.min(this.index + stride, this.frameCount - 1), stride === 1);
+        const frame = this.currentFrame;
+        if (frame && frame.message) showMessage(...frame.message);
+        this.isStepping = false;
+    }
+
+    async stepBack() {
+        if (this.isBusy || this.index <= 0) return;
+        await this.showFrame(this.index - 1, false);
+    }
+
+    async seek(index) {
+        this.pause();
+        if (this.isStepping || this.frameCount === 0) return;
+        await this.showFrame(Math.max(0, Math.min(index, this.frameCount - 1)), false);
+    }
+
+    async showFrame(index, animate) {
+        this.index = index;
+        if (this.timeline) {
+            await this.timeline.show(index, animate);
+        } else {
+            const frame = this.frames[index];
+            const statusDisplay = document.getElementById('status-display');
+            if (statusDisplay) statusDisplay.textContent = frame.text;
+            // The operation is over once its last frame is up, so the panel goes back to idle
+            if (index === this.frames.length - 1) updateInfo(null, frame.text);
+            await this.visualizer.renderFrame(frame, animate);
+        }
+        this.updateControls();
+    }
+
+    durationAt(index) {
+        if (this.timeline) return this.timeline.duration ? this.timeline.duration(index) : 400;
+        return this.frames[index].duration;
+    }
+
+    // Waits a frame's duration at the current speed; zero-length frames wait one animation frame
+    wait(ms) {
+        return ms > 0 ? sleep(ms / this.speed) : nextFrame();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    // --- Controls ---
+    // Every page uses the same element ids; missing controls are skipped
+    setupControls() {
+        const byId = id => document.getElementById(id);
+        this.controls = {
+            playPause: byId('play-pause-btn'),
+            step: byId('step-btn'),
+            stepBack: byId('step-back-btn'),
+            jumpEnd: byId('jump-end-btn'),
+            speed: byId('speed-select'),
+            slider: byId('timeline-slider'),
+            counter: byId('step-counter'),
+        };
+        const { playPause, step, stepBack, jumpEnd, speed, slider } = this.controls;
+        if (playPause) playPause.addEventListener('click', () => (this.isPlaying ? this.pause() : this.play()));
+        if (step) step.addEventListener('click', () => this.stepForward());
+        if (stepBack) stepBack.addEventListener('click', () => this.stepBack());
+        if (jumpEnd) jumpEnd.addEventListener('click', () => this.seek(this.frameCount - 1));
+        if (speed) speed.addEventListener('change', () => this.setSpeed(parseFloat(speed.value)));
+        if (slider) slider.addEventListener('input', () => this.seek(parseInt(slider.value)));
+    }
+
+    updateControls() {
+        const { playPause, counter, slider } = this.controls;
+        const total = this.frameCount;
+        if (playPause) playPause.textContent = this.isPlaying ? 'Pause' : 'Play';
+        if (counter) counter.textContent = total ? `${this.index + 1} / ${total}` : '0 / 0';
+        if (slider) {
+            slider.max = Math.max(0, total - 1);
+            slider.value = Math.max(0, this.index);
+            slider.disabled = total === 0;
+        }
+    }
+}
@@ -3,19 +3,9 @@ const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
 const complexityDisplay = document.getElementById('complexity-display');
 const statusDisplay = document.getElementById('status-display');
-const playPauseBtn = document.getElementById('play-pause-btn');
-const stepBtn = document.getElementById('step-btn');
+const rendererSelect = document.getElementById('renderer-select');
 const prefixSumContainer = document.getElementById('prefix-sum-container');
-
-// --- UTILITY ---
-function showMessage(message, type = 'info', duration = 3000) {
-    const messageBox = document.getElementById('messageBox');
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+const raceLanes = document.getElementById('race-lanes');
 
 // --- INFO & STATUS ---
 const INFO = {
@@ -25,62 +15,188 @@ const INFO = {
     'bubbleSort': { complexity: 'O(n²)', status: 'Bubble Sort' },
     'selectionSort': { complexity: 'O(n²)', status: 'Selection Sort' },
     'insertionSort': { complexity: 'O(n²)', status: 'Insertion Sort' },
+    'mergeSort': { complexity: 'O(n log n)', status: 'Merge Sort' },
+    'quickSort': { complexity: 'O(n log n) avg, O(n²) worst', status: 'Quick Sort' },
+    'heapSort': { complexity: 'O(n log n)', status: 'Heap Sort' },
+    'countingSort': { complexity: 'O(n + k)', status: 'Counting Sort' },
+    'radixSort': { complexity: 'O(d · (n + 10))', status: 'Radix Sort (LSD)' },
     'prefixSum': { complexity: 'O(n)', status: 'Generating Prefix Sum Array...' },
     'rangeSum': { complexity: 'O(1)', status: 'Calculating Range Sum...' },
+    'buildRangeTree': { complexity: 'O(n)', status: 'Building range tree...' },
+    'pointUpdate': { complexity: 'O(log n)', status: 'Updating element...' },
+    'rangeQuery': { complexity: 'O(log n)', status: 'Querying range...' },
+    'linearSearch': { complexity: 'O(n)', status: 'Linear Search' },
+    'binarySearch': { complexity: 'O(log n)', status: 'Binary Search' },
+    'jumpSearch': { complexity: 'O(√n)', status: 'Jump Search' },
+    'interpolationSearch': { complexity: 'O(log log n) avg, O(n) worst', status: 'Interpolation Search' },
+    'pairSum': { complexity: 'O(n)', status: 'Pair With Target Sum' },
+    'removeDuplicates': { complexity: 'O(n)', status: 'Remove Duplicates In Place' },
+    'maxWindowSum': { complexity: 'O(n)', status: 'Max Sum Window of Size k' },
+    'longestSubarray': { complexity: 'O(n)', status: 'Longest Subarray With Sum ≤ S' },
+    'kadane': { complexity: 'O(n)', status: "Kadane's Maximum Subarray" },
 };
 
-function updateInfo(operation, statusText = null) {
-    if (INFO[operation]) {
-        complexityDisplay.textContent = INFO[operation].complexity;
-        statusDisplay.textContent = statusText || INFO[operation].status;
-    } else {
-        complexityDisplay.textContent = 'O(?)';
-        statusDisplay.textContent = 'Ready';
-    }
-}
+// Sorts on hundreds of elements run to hundreds of thousands of steps, so the timeline keeps
+// a full snapshot only every CHECKPOINT_INTERVAL steps and replays the steps in between
+const CHECKPOINT_INTERVAL = 64;
 
 // --- VISUALIZER CLASS ---
 class ArrayVisualizer {
-    constructor() {
+    // Race lanes pass their own canvas and skip the page controls
+    constructor(canvasElement = canvas, { isLane = false, height = 360 } = {}) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+        this.isLane = isLane;
+        this.height = height;
         this.array = [];
         this.prefixSumArray = null; // NEW: To store the prefix sum array
         this.animationQueue = [];
+        this.checkpoints = []; // checkpoints[k] is the state before animationQueue[k * CHECKPOINT_INTERVAL] runs
         this.currentStep = 0;
-        this.isPlaying = false;
-        
+        this.aux = null; // Merge sort's auxiliary array, drawn under the main one
+        this.overlay = null; // Pointers, shaded range and dividers carried by sort steps
+        this.tray = null; // Counting sort's count array or radix sort's digit buckets
+        this.rangeTree = null; // Fenwick or segment tree built from the array, drawn under it
+        this.runInfo = null; // { type, bound? } while the step player holds a search or array technique instead of a sort
+        this.renderer = 'cells'; // 'cells' (value and index in boxes) or 'bars' (height encodes value)
+        this.frame = { highlights: {}, auxHighlights: {} };
+        this.isFrameRequested = false;
+        this.player = isLane ? null : new StepPlayer(this); // Lanes are driven by the race instead
+
         this.setupCanvas();
-        this.setupEventListeners();
-        window.addEventListener('resize', () => this.setupCanvas());
+        if (!isLane) {
+            this.setupEventListeners();
+            window.addEventListener('resize', () => this.setupCanvas());
+        }
     }
     
     setupCanvas() {
         const dpr = window.devicePixelRatio || 1;
-        const rect = canvas.parentElement.getBoundingClientRect();
-        canvas.width = rect.width * dpr;
-        canvas.height = 250 * dpr;
-        ctx.scale(dpr, dpr);
-        this.draw();
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = this.height * dpr;
+        this.ctx.scale(dpr, dpr);
+        this.render();
+    }
+
+    get maxSize() {
+        return this.renderer === 'bars' ? 500 : 15;
+    }
+
+    // Records the frame to show and paints it on the next animation frame, so bursts of draws cost one paint
+    draw(highlights = {}, auxHighlights = {}) {
+        this.frame = { highlights, auxHighlights };
+        if (this.isFrameRequested) return;
+        this.isFrameRequested = true;
+        requestAnimationFrame(() => {
+            this.isFrameRequested = false;
+            this.render();
+        });
     }
 
-    draw(highlights = {}) {
-        const rect = canvas.parentElement.getBoundingClientRect();
+    render() {
+        const ctx = this.ctx;
+        const rect = this.canvas.parentElement.getBoundingClientRect();
         ctx.clearRect(0, 0, rect.width, rect.height);
         if (this.array.length === 0) return;
 
+        const { highlights, auxHighlights } = this.frame;
+        const layout = this.renderer === 'bars' ? this.getBarLayout(rect) : this.getCellLayout(rect);
+        const { cellX, cellSize, spacing, y, rowHeight } = layout;
+        const overlay = this.overlay || {};
+
+        if (overlay.shade) {
+            const [lo, hi] = overlay.shade;
+            ctx.fillStyle = '#ede9fe'; // violet-100
+            ctx.fillRect(cellX(lo) - 4, y - 6, cellX(hi) - cellX(lo) + cellSize + 8, rowHeight + 12);
+        }
+
+        const fixed = new Set(overlay.fixed);
+        const colorAt = i => {
+            const isDone = (overlay.sortedFrom !== undefined && i >= overlay.sortedFrom) || fixed.has(i);
+            return highlights[i] || (isDone ? '#10b981' : this.isVacated(i) ? '#cbd5e1' : '#6366f1');
+        };
+        if (this.renderer === 'bars') this.drawBars(this.array, colorAt, layout);
+        else this.drawCells(colorAt, layout);
+
+        if (overlay.divider !== undefined) this.drawDivider(cellX(overlay.divider) - spacing / 2, y, rowHeight, overlay.dividerLabels);
+        if (overlay.pointers) this.drawPointers(overlay.pointers, cellX, cellSize, y + rowHeight + 28);
+        if (this.aux) {
+            if (this.renderer === 'bars') this.drawAuxBars(auxHighlights, layout, y + rowHeight + 75);
+            else this.drawAux(auxHighlights, cellX, cellSize, y + rowHeight + 75);
+        }
+        if (this.tray) this.drawTray(rect, y + rowHeight + 75);
+        if (this.rangeTree) this.drawRangeTree(layout, y + rowHeight + 75);
+    }
+
+    getCellLayout(rect) {
         const n = this.array.length;
         const cellSize = Math.min(60, (rect.width - 60) / n);
         const spacing = 8;
         const totalWidth = (n * cellSize) + ((n - 1) * spacing);
         const startX = (rect.width - totalWidth) / 2;
-        const y = rect.height / 2 - cellSize;
+        return { cellX: i => startX + i * (cellSize + spacing), cellSize, spacing, y: 50, rowHeight: cellSize };
+    }
+
+    // Bars fill the width (down to one pixel at 500 elements) and share one value scale with the aux row
+    getBarLayout(rect) {
+        const n = this.array.length;
+        const spacing = n > 100 ? 0 : n > 40 ? 1 : 2;
+        const cellSize = (rect.width - 60 - spacing * (n - 1)) / n;
+        const values = this.aux ? [...this.array, ...this.aux.filter(value => value !== null)] : this.array;
+        const hasRowBelow = this.aux || this.tray;
+        return {
+            cellX: i => 30 + i * (cellSize + spacing), cellSize, spacing,
+            y: 30,
+            rowHeight: hasRowBelow ? this.height * 0.42 : this.height - 80,
+            low: Math.min(0, ...values),
+            high: Math.max(1, ...values),
+        };
+    }
+
+    drawBars(values, colorAt, { cellX, cellSize, low, high, y, rowHeight }) {
+        const ctx = this.ctx;
+        const baseline = y + rowHeight;
+        values.forEach((value, i) => {
+            if (value === null) return;
+            const barHeight = Math.max(1, (value - low) / (high - low) * rowHeight);
+            ctx.fillStyle = colorAt(i);
+            ctx.fillRect(cellX(i), baseline - barHeight, Math.max(cellSize, 1), barHeight);
+            if (cellSize >= 20) {
+                ctx.fillStyle = '#334155';
+                ctx.font = `${Math.min(12, cellSize * 0.45)}px Inter`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(value, cellX(i) + cellSize / 2, baseline - barHeight - 2);
+            }
+        });
+        ctx.beginPath();
+        ctx.moveTo(cellX(0), baseline);
+        ctx.lineTo(cellX(values.length - 1) + cellSize, baseline);
+        ctx.strokeStyle = '#94a3b8';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    drawAuxBars(auxHighlights, layout, y) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#475569';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('aux', 4, y);
+        this.drawBars(this.aux, i => auxHighlights[i] || '#0d9488', { ...layout, y, rowHeight: this.height - y - 10 });
+    }
 
+    drawCells(colorAt, { cellX, cellSize, y }) {
+        const ctx = this.ctx;
         this.array.forEach((value, i) => {
-            const x = startX + i * (cellSize + spacing);
+            const x = cellX(i);
 
             ctx.beginPath();
             ctx.roundRect(x, y, cellSize, cellSize, 8);
 
-            ctx.fillStyle = highlights[i] || '#6366f1';
+            ctx.fillStyle = colorAt(i);
             ctx.strokeStyle = '#4338ca';
             ctx.lineWidth = 2;
             ctx.fill();
@@ -99,253 +215,272 @@ class ArrayVisualizer {
         });
     }
 
-    create(size) {
-        if (this.isPlaying) return;
-        if (size <= 0 || size > 15) {
-            showMessage('Please enter a size between 1 and 15.', 'error');
-            return;
-        }
-        updateInfo('create');
-        this.array = Array.from({length: size}, () => Math.floor(Math.random() * 90) + 10);
-        this.prefixSumArray = null; // Reset prefix sum array
-        prefixSumContainer.innerHTML = ''; // Clear display
-        this.draw();
-        showMessage(`Array of size ${size} created.`, 'success');
-        updateInfo(null);
+    // Cells already moved into the tray but not yet written back are drawn greyed out
+    isVacated(i) {
+        return !!this.tray && i < this.tray.taken && i >= this.tray.placed;
     }
-    
-    // --- NEW: Prefix Sum Generation ---
-    async generatePrefixSum() {
-        if (this.isPlaying || this.array.length === 0) return;
-        this.isPlaying = true;
-        updateInfo('prefixSum');
-        
-        this.prefixSumArray = [];
-        prefixSumContainer.innerHTML = '';
-        let currentSum = 0;
-
-        for(let i = 0; i < this.array.length; i++) {
-            currentSum += this.array[i];
-            this.prefixSumArray.push(currentSum);
-            
-            // Highlight elements being summed
-            const highlights = {};
-            for(let j = 0; j <= i; j++) { highlights[j] = '#f59e0b'; }
-            this.draw(highlights);
-            
-            // Add new cell to the display
-            const cell = document.createElement('div');
-            cell.className = 'prefix-sum-cell';
-            cell.textContent = currentSum;
-            prefixSumContainer.appendChild(cell);
-            
-            await sleep(500);
-        }
 
-        this.draw(); // Clear highlights
-        showMessage('Prefix sum array generated.', 'success');
-        updateInfo(null);
-        this.isPlaying = false;
-    }
+    drawTray(rect, y) {
+        const ctx = this.ctx;
+        const { slots, labels, active } = this.tray;
+        const k = slots.length;
+        const spacing = this.tray.kind === 'digit' ? 8 : 2;
+        const slotWidth = Math.min(60, (rect.width - 80) / k - spacing);
+        const startX = (rect.width - (k * slotWidth + (k - 1) * spacing)) / 2;
 
-    // --- NEW: Range Sum Query ---
-    getRangeSum(start, end) {
-        if (this.isPlaying) return;
-        if (!this.prefixSumArray) {
-            showMessage('Please generate the prefix sum array first.', 'error');
-            return;
-        }
-        if (isNaN(start) || isNaN(end) || start < 0 || end >= this.array.length || start > end) {
-            showMessage('Invalid start or end index.', 'error');
-            return;
-        }
-        updateInfo('rangeSum');
+        ctx.fillStyle = '#475569';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.tray.kind === 'digit' ? 'buckets' : 'count', startX - 10, y + 12);
 
-        const sum = this.prefixSumArray[end] - (start > 0 ? this.prefixSumArray[start - 1] : 0);
-        
-        // Highlight cells in the prefix sum display
-        const cells = prefixSumContainer.children;
-        cells[end].classList.add('highlight');
-        if (start > 0) {
-            cells[start - 1].classList.add('highlight');
-        }
+        slots.forEach((slot, i) => {
+            const x = startX + i * (slotWidth + spacing);
+            const color = i === active ? '#f59e0b' : '#0d9488';
+            ctx.textAlign = 'center';
 
-        showMessage(`Sum from index ${start} to ${end} is ${sum}.`, 'success');
-        
-        // Remove highlight after a delay
-        setTimeout(() => {
-            cells[end].classList.remove('highlight');
-            if (start > 0) {
-                cells[start - 1].classList.remove('highlight');
+            if (this.tray.kind === 'count') {
+                ctx.beginPath();
+                ctx.rect(x, y, slotWidth, 24);
+                ctx.fillStyle = slot > 0 ? color : '#f1f5f9';
+                ctx.fill();
+                ctx.strokeStyle = '#cbd5e1';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+                if (slot > 0) {
+                    ctx.fillStyle = 'white';
+                    ctx.font = `bold ${Math.min(14, slotWidth * 0.7)}px Inter`;
+                    ctx.fillText(slot, x + slotWidth / 2, y + 12);
+                }
+                // Only label keys that are present (plus the ends) so narrow slots stay readable
+                if (slot > 0 || i === active || i === 0 || i === k - 1) {
+                    ctx.fillStyle = '#64748b';
+                    ctx.font = `${Math.min(12, Math.max(8, slotWidth * 0.6))}px Fira Code`;
+                    ctx.fillText(labels[i], x + slotWidth / 2, y + 36);
+                }
+                return;
             }
-            updateInfo(null);
-        }, 2000);
-    }
 
-    async insert(value, index) { /* ... existing code ... */ }
-    async delete(index) { /* ... existing code ... */ }
-    prepareSort(sortType) { /* ... existing code ... */ }
-    generateBubbleSortSteps(arr) { /* ... existing code ... */ }
-    generateSelectionSortSteps(arr) { /* ... existing code ... */ }
-    generateInsertionSortSteps(arr) { /* ... existing code ... */ }
-    async stepForward() { /* ... existing code ... */ }
-    async play() { /* ... existing code ... */ }
-    pause() { /* ... existing code ... */ }
-
-    setupEventListeners() {
-        document.getElementById('create-btn').addEventListener('click', () => {
-            this.create(parseInt(document.getElementById('create-size').value));
-        });
-        
-        document.getElementById('insert-btn').addEventListener('click', () => {
-            const value = parseInt(document.getElementById('value-input').value);
-            const index = parseInt(document.getElementById('index-input').value);
-            if (!isNaN(value) && !isNaN(index)) this.insert(value, index);
-        });
-
-        document.getElementById('delete-btn').addEventListener('click', () => {
-            const index = parseInt(document.getElementById('index-input').value);
-            if (!isNaN(index)) this.delete(index);
-        });
+            ctx.fillStyle = i === active ? '#b45309' : '#64748b';
+            ctx.font = 'bold 14px Fira Code';
+            ctx.fillText(labels[i], x + slotWidth / 2, y + 8);
+            ctx.beginPath();
+            ctx.moveTo(x, y + 18);
+            ctx.lineTo(x + slotWidth, y + 18);
+            ctx.strokeStyle = '#94a3b8';
+            ctx.lineWidth = 2;
+            ctx.stroke();
 
-        document.getElementById('sort-btn').addEventListener('click', () => {
-            const sortType = document.getElementById('sort-select').value;
-            this.prepareSort(sortType);
+            const room = this.height - y - 24;
+            const chipHeight = Math.min(18, room / Math.max(slot.length, 1) - 2);
+            if (chipHeight < 8) {
+                // Too many values to list: draw the bucket as a column scaled by its share of the array
+                const columnHeight = Math.max(2, room * slot.length / this.array.length);
+                ctx.fillStyle = color;
+                ctx.fillRect(x, y + 22, slotWidth, columnHeight);
+                ctx.fillStyle = '#334155';
+                ctx.font = 'bold 11px Inter';
+                ctx.textBaseline = 'top';
+                ctx.fillText(slot.length, x + slotWidth / 2, y + 24 + columnHeight);
+                ctx.textBaseline = 'middle';
+                return;
+            }
+            slot.forEach((value, j) => {
+                const chipY = y + 22 + j * (chipHeight + 2);
+                ctx.beginPath();
+                ctx.roundRect(x, chipY, slotWidth, chipHeight, 4);
+                ctx.fillStyle = i === active && j === slot.length - 1 ? '#f59e0b' : '#0d9488';
+                ctx.fill();
+                ctx.fillStyle = 'white';
+                ctx.font = `bold ${Math.min(12, chipHeight - 4)}px Inter`;
+                ctx.fillText(value, x + slotWidth / 2, chipY + chipHeight / 2);
+            });
         });
+    }
 
-        playPauseBtn.addEventListener('click', () => {
-            if (this.isPlaying) this.pause();
-            else this.play();
-        });
+    drawDivider(x, y, cellSize, labels) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.setLineDash([5, 4]);
+        ctx.moveTo(x, y - 14);
+        ctx.lineTo(x, y + cellSize + 14);
+        ctx.strokeStyle = '#0f172a';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-        stepBtn.addEventListener('click', () => {
-            if (!this.isPlaying) this.stepForward();
-        });
-        
-        // --- NEW: Event listeners for prefix sum ---
-        document.getElementById('prefix-sum-btn').addEventListener('click', () => {
-            this.generatePrefixSum();
-        });
-        
-        document.getElementById('range-sum-btn').addEventListener('click', () => {
-            const start = parseInt(document.getElementById('range-start').value);
-            const end = parseInt(document.getElementById('range-end').value);
-            this.getRangeSum(start, end);
-        });
+        if (!labels) return;
+        ctx.fillStyle = '#0f172a';
+        ctx.font = 'bold 12px Inter';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'right';
+        ctx.fillText(labels[0], x - 6, y - 8);
+        ctx.textAlign = 'left';
+        ctx.fillText(labels[1], x + 6, y - 8);
     }
-}
 
-// NOTE: I'm omitting the unchanged methods from the class for brevity.
-// You would paste the new methods and properties into your existing ArrayVisualizer class.
-// The full, copy-pasteable code is below.
-const fullClassCode = `
-class ArrayVisualizer {
-    constructor() {
-        this.array = [];
-        this.prefixSumArray = null; // NEW: To store the prefix sum array
-        this.animationQueue = [];
-        this.currentStep = 0;
-        this.isPlaying = false;
-        
-        this.setupCanvas();
-        this.setupEventListeners();
-        window.addEventListener('resize', () => this.setupCanvas());
-    }
-    
-    setupCanvas() {
-        const dpr = window.devicePixelRatio || 1;
-        const rect = canvas.parentElement.getBoundingClientRect();
-        canvas.width = rect.width * dpr;
-        canvas.height = 250 * dpr;
-        ctx.scale(dpr, dpr);
-        this.draw();
+    // Labeled arrows under the cells; labels sharing an index are stacked
+    drawPointers(pointers, cellX, cellSize, y) {
+        const ctx = this.ctx;
+        const stacked = {};
+        Object.entries(pointers).forEach(([label, index]) => {
+            if (index === null || index === undefined || index < 0 || index >= this.array.length) return;
+            const row = stacked[index] = (stacked[index] || 0) + 1;
+            const x = cellX(index) + cellSize / 2;
+            ctx.fillStyle = '#b45309'; // amber-700
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            if (row === 1) {
+                ctx.font = '14px Inter';
+                ctx.fillText('▲', x, y);
+            }
+            ctx.font = 'bold 12px Fira Code';
+            ctx.fillText(label, x, y + 4 + row * 13);
+        });
     }
 
-    draw(highlights = {}) {
-        const rect = canvas.parentElement.getBoundingClientRect();
-        ctx.clearRect(0, 0, rect.width, rect.height);
-        if (this.array.length === 0) return;
-
-        const n = this.array.length;
-        const cellSize = Math.min(60, (rect.width - 60) / n);
-        const spacing = 8;
-        const totalWidth = (n * cellSize) + ((n - 1) * spacing);
-        const startX = (rect.width - totalWidth) / 2;
-        const y = rect.height / 2 - cellSize;
-
-        this.array.forEach((value, i) => {
-            const x = startX + i * (cellSize + spacing);
+    drawAux(auxHighlights, cellX, cellSize, y) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#475569';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('aux', cellX(0) - 10, y + cellSize / 2);
 
+        this.aux.forEach((value, i) => {
+            const x = cellX(i);
             ctx.beginPath();
             ctx.roundRect(x, y, cellSize, cellSize, 8);
-
-            ctx.fillStyle = highlights[i] || '#6366f1';
-            ctx.strokeStyle = '#4338ca';
+            if (value === null) {
+                ctx.strokeStyle = '#d1d5db';
+                ctx.setLineDash([4, 4]);
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+                ctx.setLineDash([]);
+                return;
+            }
+            ctx.fillStyle = auxHighlights[i] || '#0d9488'; // teal-600
+            ctx.strokeStyle = '#0f766e';
             ctx.lineWidth = 2;
             ctx.fill();
             ctx.stroke();
 
             ctx.fillStyle = 'white';
-            ctx.font = \`bold \${cellSize * 0.4}px Inter\`;
+            ctx.font = `bold ${cellSize * 0.4}px Inter`;
             ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
             ctx.fillText(value, x + cellSize / 2, y + cellSize / 2);
-
-            ctx.fillStyle = '#4b5563';
-            ctx.font = \`\${cellSize * 0.25}px Fira Code\`;
-            ctx.textAlign = 'center';
-            ctx.fillText(i, x + cellSize / 2, y + cellSize + 15);
         });
     }
 
-    create(size) {
-        if (this.isPlaying) return;
-        if (size <= 0 || size > 15) {
-            showMessage('Please enter a size between 1 and 15.', 'error');
+    create(size, preset = 'random') {
+        if (this.player.isBusy) return;
+        if (isNaN(size) || size <= 0 || size > this.maxSize) {
+            showMessage(`Please enter a size between 1 and ${this.maxSize}.`, 'error');
             return;
         }
         updateInfo('create');
-        this.array = Array.from({length: size}, () => Math.floor(Math.random() * 90) + 10);
+        this.setArray(this.generateValues(size, preset));
+        showMessage(`Array of size ${size} created.`, 'success');
+        updateInfo(null);
+    }
+
+    // Values in 10..99 shaped by a preset, so best and worst cases can be set up on purpose
+    generateValues(size, preset) {
+        const random = () => Math.floor(Math.random() * 90) + 10;
+        const sorted = () => Array.from({length: size}, random).sort((a, b) => a - b);
+
+        switch (preset) {
+            case 'sorted': return sorted();
+            case 'reversed': return sorted().reverse();
+            case 'nearlySorted': {
+                const values = sorted();
+                const swaps = Math.max(1, Math.floor(size / 8));
+                for (let s = 0; s < swaps && size > 1; s++) {
+                    const i = Math.floor(Math.random() * (size - 1));
+                    [values[i], values[i + 1]] = [values[i + 1], values[i]];
+                }
+                return values;
+            }
+            case 'manyDuplicates': {
+                const pool = [random(), random(), random()];
+                return Array.from({length: size}, () => pool[Math.floor(Math.random() * pool.length)]);
+            }
+            case 'allEqual': return new Array(size).fill(random());
+            case 'organPipe': {
+                // Rising then falling: even ranks on the way up, odd ranks on the way down
+                const values = sorted();
+                return [...values.filter((_, i) => i % 2 === 0), ...values.filter((_, i) => i % 2 === 1).reverse()];
+            }
+            default: return Array.from({length: size}, random);
+        }
+    }
+
+    loadValues(text) {
+        if (this.player.isBusy) return;
+        const parts = text.split(',').map(part => part.trim()).filter(part => part !== '');
+        const values = parts.map(Number);
+        if (values.length === 0 || values.some(value => !Number.isInteger(value))) {
+            showMessage('Enter whole numbers separated by commas, e.g. 5, 3, 8.', 'error');
+            return;
+        }
+        if (values.length > this.maxSize) {
+            showMessage(`Please enter at most ${this.maxSize} values.`, 'error');
+            return;
+        }
+        this.setArray(values);
+        showMessage(`Loaded ${values.length} values.`, 'success');
+    }
+
+    setArray(values) {
+        this.array = values;
+        this.rangeTree = null;
+        this.resetSort();
         this.prefixSumArray = null; // Reset prefix sum array
         prefixSumContainer.innerHTML = ''; // Clear display
         this.draw();
-        showMessage(\`Array of size \${size} created.\`, 'success');
-        updateInfo(null);
     }
     
+    // --- NEW: Prefix Sum Generation ---
     async generatePrefixSum() {
-        if (this.isPlaying || this.array.length === 0) return;
-        this.isPlaying = true;
+        if (this.player.isBusy || this.array.length === 0) return;
+        this.player.settle();
         updateInfo('prefixSum');
-        
+        this.player.begin(INFO.prefixSum.status);
+
         this.prefixSumArray = [];
-        prefixSumContainer.innerHTML = '';
         let currentSum = 0;
 
         for(let i = 0; i < this.array.length; i++) {
             currentSum += this.array[i];
             this.prefixSumArray.push(currentSum);
-            
+
+            // Highlight elements being summed
             const highlights = {};
             for(let j = 0; j <= i; j++) { highlights[j] = '#f59e0b'; }
-            this.draw(highlights);
-            
+            this.player.record(highlights, this.renderer === 'bars' ? 10 : 500);
+        }
+
+        await this.player.finish({ message: ['Prefix sum array generated.', 'success'] });
+    }
+
+    // Brings the prefix sum cells in line with prefixSumArray, which only grows while it is built
+    renderPrefixSums() {
+        const sums = this.prefixSumArray || [];
+        while (prefixSumContainer.children.length > sums.length) {
+            prefixSumContainer.removeChild(prefixSumContainer.lastChild);
+        }
+        for (let i = prefixSumContainer.children.length; i < sums.length; i++) {
             const cell = document.createElement('div');
             cell.className = 'prefix-sum-cell';
-            cell.textContent = currentSum;
+            cell.textContent = sums[i];
             prefixSumContainer.appendChild(cell);
-            
-            await sleep(500);
         }
-
-        this.draw();
-        showMessage('Prefix sum array generated.', 'success');
-        updateInfo(null);
-        this.isPlaying = false;
     }
 
+    // --- NEW: Range Sum Query ---
     getRangeSum(start, end) {
-        if (this.isPlaying) return;
+        if (this.player.isBusy) return;
+        this.player.settle();
         if (!this.prefixSumArray) {
             showMessage('Please generate the prefix sum array first.', 'error');
             return;
@@ -358,14 +493,16 @@ class ArrayVisualizer {
 
         const sum = this.prefixSumArray[end] - (start > 0 ? this.prefixSumArray[start - 1] : 0);
         
+        // Highlight cells in the prefix sum display
         const cells = prefixSumContainer.children;
         cells[end].classList.add('highlight');
         if (start > 0) {
             cells[start - 1].classList.add('highlight');
         }
 
-        showMessage(\`Sum from index \${start} to \${end} is \${sum}.\`, 'success');
+        showMessage(`Sum from index ${start} to ${end} is ${sum}.`, 'success');
         
+        // Remove highlight after a delay
         setTimeout(() => {
             cells[end].classList.remove('highlight');
             if (start > 0) {
@@ -376,57 +513,88 @@ class ArrayVisualizer {
     }
 
     async insert(value, index) {
-        if (this.isPlaying || index < 0 || index > this.array.length || this.array.length >= 15) {
-             if (this.array.length >= 15) showMessage('Array is full (max 15).', 'error');
+        if (this.player.isBusy || index < 0 || index > this.array.length || this.array.length >= this.maxSize) {
+             if (this.array.length >= this.maxSize) showMessage(`Array is full (max ${this.maxSize}).`, 'error');
             return;
         }
-        updateInfo('insert', \`Inserting \${value} at index \${index}\`);
+        this.player.settle();
+        updateInfo('insert');
         this.array.splice(index, 0, value);
-        this.prefixSumArray = null; 
-        prefixSumContainer.innerHTML = '';
-        this.draw({[index]: '#22c55e'});
-        await sleep(800);
-        this.draw();
-        updateInfo(null);
+        this.resetSort();
+        this.prefixSumArray = null;
+        // A range tree's shape depends on the length, so it is rebuilt rather than updated
+        if (this.rangeTree) this.buildRangeTree(this.rangeTree.kind, false);
+        this.player.begin(`Inserting ${value} at index ${index}`);
+        this.player.record({[index]: '#22c55e'}, 800);
+        await this.player.finish();
     }
 
     async delete(index) {
-        if (this.isPlaying || index < 0 || index >= this.array.length) return;
-        updateInfo('delete', \`Deleting element at index \${index}\`);
-        this.prefixSumArray = null; 
-        prefixSumContainer.innerHTML = '';
-        this.draw({[index]: '#ef4444'});
-        await sleep(800);
+        if (this.player.isBusy || index < 0 || index >= this.array.length) return;
+        this.player.settle();
+        updateInfo('delete');
+        this.resetSort();
+        this.prefixSumArray = null;
+        this.player.begin(`Deleting element at index ${index}`);
+        this.player.record({[index]: '#ef4444'}, 800);
         this.array.splice(index, 1);
-        this.draw();
-        updateInfo(null);
+        if (this.rangeTree) {
+            if (this.array.length > 0) this.buildRangeTree(this.rangeTree.kind, false);
+            else this.rangeTree = null;
+        }
+        await this.player.finish();
     }
 
     prepareSort(sortType) {
-        if (this.isPlaying || this.array.length <= 1) return;
-        this.prefixSumArray = null; 
+        if (this.player.isBusy || this.array.length <= 1) return;
+        this.player.settle();
+        this.prefixSumArray = null;
         prefixSumContainer.innerHTML = '';
+        this.rangeTree = null;
+        this.runInfo = null;
+        updateInfo(sortType);
+
+        if (!this.buildSortSteps(sortType)) {
+            this.resetSort();
+            updateInfo(null);
+            return;
+        }
+        this.loadTimeline();
+        this.draw();
+
+        showMessage('Ready to visualize. Press Play or Step.', 'info');
+    }
+
+    // Fills animationQueue and its checkpoints without touching the page; false if the input is unsupported
+    buildSortSteps(sortType) {
         this.animationQueue = [];
         this.currentStep = 0;
+        this.clearSortOverlay();
         const tempArray = [...this.array];
-        updateInfo(sortType);
-        
+        let isValid = true;
+
         switch(sortType) {
             case 'bubbleSort': this.generateBubbleSortSteps(tempArray); break;
             case 'selectionSort': this.generateSelectionSortSteps(tempArray); break;
             case 'insertionSort': this.generateInsertionSortSteps(tempArray); break;
+            case 'mergeSort': this.generateMergeSortSteps(tempArray); break;
+            case 'quickSort': this.generateQuickSortSteps(tempArray); break;
+            case 'heapSort': this.generateHeapSortSteps(tempArray); break;
+            case 'countingSort': isValid = this.generateCountingSortSteps(tempArray); break;
+            case 'radixSort': isValid = this.generateRadixSortSteps(tempArray); break;
         }
-        
-        showMessage('Ready to visualize. Press Play or Step.', 'info');
+        if (!isValid) return false;
+        this.recordCheckpoints();
+        return true;
     }
 
     generateBubbleSortSteps(arr) {
         const n = arr.length;
         for (let i = 0; i < n - 1; i++) {
             for (let j = 0; j < n - i - 1; j++) {
-                this.animationQueue.push({ type: 'compare', indices: [j, j + 1], text: \`Comparing \${arr[j]} and \${arr[j+1]}\` });
+                this.animationQueue.push({ type: 'compare', indices: [j, j + 1], text: `Comparing ${arr[j]} and ${arr[j+1]}` });
                 if (arr[j] > arr[j + 1]) {
-                    this.animationQueue.push({ type: 'swap', indices: [j, j + 1], text: \`Swapping \${arr[j]} and \${arr[j+1]}\` });
+                    this.animationQueue.push({ type: 'swap', indices: [j, j + 1], text: `Swapping ${arr[j]} and ${arr[j+1]}` });
                     [arr[j], arr[j + 1]] = [arr[j + 1], arr[j]];
                 }
             }
@@ -438,13 +606,13 @@ class ArrayVisualizer {
         for (let i = 0; i < n - 1; i++) {
             let minIdx = i;
             for (let j = i + 1; j < n; j++) {
-                this.animationQueue.push({ type: 'compare', indices: [j, minIdx], text: \`Comparing \${arr[j]} and \${arr[minIdx]}\` });
+                this.animationQueue.push({ type: 'compare', indices: [j, minIdx], text: `Comparing ${arr[j]} and ${arr[minIdx]}` });
                 if (arr[j] < arr[minIdx]) {
                     minIdx = j;
                 }
             }
             if (minIdx !== i) {
-                this.animationQueue.push({ type: 'swap', indices: [i, minIdx], text: \`Swapping \${arr[i]} and \${arr[minIdx]}\` });
+                this.animationQueue.push({ type: 'swap', indices: [i, minIdx], text: `Swapping ${arr[i]} and ${arr[minIdx]}` });
                 [arr[i], arr[minIdx]] = [arr[minIdx], arr[i]];
             }
         }
@@ -455,78 +623,1006 @@ class ArrayVisualizer {
         for (let i = 1; i < n; i++) {
             let key = arr[i];
             let j = i - 1;
-            this.animationQueue.push({ type: 'compare', indices: [i, j], text: \`Comparing key \${key} with \${arr[j]}\` });
+            this.animationQueue.push({ type: 'compare', indices: [i, j], text: `Comparing key ${key} with ${arr[j]}` });
             while (j >= 0 && arr[j] > key) {
-                this.animationQueue.push({ type: 'shift', indices: [j, j + 1], text: \`Shifting \${arr[j]}\` });
+                this.animationQueue.push({ type: 'shift', indices: [j, j + 1], text: `Shifting ${arr[j]}` });
                 arr[j + 1] = arr[j];
                 j = j - 1;
-                if(j >= 0) this.animationQueue.push({ type: 'compare', indices: [i, j], text: \`Comparing key \${key} with \${arr[j]}\` });
+                if(j >= 0) this.animationQueue.push({ type: 'compare', indices: [i, j], text: `Comparing key ${key} with ${arr[j]}` });
             }
-            this.animationQueue.push({ type: 'insert', index: j + 1, value: key, text: \`Inserting \${key}\` });
+            this.animationQueue.push({ type: 'insert', index: j + 1, value: key, text: `Inserting ${key}` });
             arr[j + 1] = key;
         }
     }
 
-    async stepForward() {
-        if (this.currentStep >= this.animationQueue.length) {
-            this.isPlaying = false;
-            playPauseBtn.textContent = 'Play';
-            this.draw();
-            updateInfo(null, 'Sort complete!');
-            return;
-        }
+    // Top-down merge sort: each merge copies its range into `aux` and writes the merged values back
+    generateMergeSortSteps(arr) {
+        const aux = new Array(arr.length).fill(null);
+        const sort = (lo, hi) => {
+            if (lo >= hi) return;
+            const mid = Math.floor((lo + hi) / 2);
+            sort(lo, mid);
+            sort(mid + 1, hi);
 
-        const step = this.animationQueue[this.currentStep];
-        statusDisplay.textContent = step.text;
-        
-        if (step.type === 'compare') {
-            this.draw({ [step.indices[0]]: '#fde047', [step.indices[1]]: '#fde047' });
-        } else if (step.type === 'swap') {
-            const [i, j] = step.indices;
-            this.draw({ [i]: '#f87171', [j]: '#f87171' });
-            await sleep(250);
-            [this.array[i], this.array[j]] = [this.array[j], this.array[i]];
-            this.draw({ [i]: '#4ade80', [j]: '#4ade80' });
-        }
-         else if (step.type === 'shift') {
-            this.draw({ [step.indices[0]]: '#fbbf24', [step.indices[1]]: '#fde68a' });
-            await sleep(250);
-            this.array[step.indices[1]] = this.array[step.indices[0]];
-            this.draw();
-        } else if (step.type === 'insert') {
-            this.draw({ [step.index]: '#4ade80' });
-            await sleep(250);
-            this.array[step.index] = step.value;
-            this.draw();
-        }
+            const overlay = { shade: [lo, hi], divider: mid + 1 };
+            for (let k = lo; k <= hi; k++) aux[k] = arr[k];
+            this.animationQueue.push({ type: 'auxCopy', range: [lo, hi], values: arr.slice(lo, hi + 1), overlay, text: `Merging [${lo}..${mid}] and [${mid + 1}..${hi}]: copying to aux` });
 
-        this.currentStep++;
+            let i = lo;
+            let j = mid + 1;
+            for (let k = lo; k <= hi; k++) {
+                let from;
+                if (i > mid) from = j++;
+                else if (j > hi) from = i++;
+                else {
+                    this.animationQueue.push({ type: 'auxCompare', auxIndices: [i, j], overlay: { ...overlay, pointers: { i, j, k } }, text: `Comparing ${aux[i]} and ${aux[j]}` });
+                    from = aux[j] < aux[i] ? j++ : i++;
+                }
+                this.animationQueue.push({ type: 'overwrite', index: k, value: aux[from], auxIndex: from, text: `Writing ${aux[from]} to index ${k}` });
+                arr[k] = aux[from];
+            }
+        };
+        sort(0, arr.length - 1);
+        this.animationQueue.push({ type: 'auxClear', overlay: null, text: 'All runs merged' });
     }
 
-    async play() {
-        if (this.animationQueue.length === 0) return;
-        this.isPlaying = true;
-        playPauseBtn.textContent = 'Pause';
-        while (this.isPlaying && this.currentStep < this.animationQueue.length) {
-            await this.stepForward();
-            await sleep(400);
-        }
-        if (this.isPlaying) { 
-             this.isPlaying = false;
-             playPauseBtn.textContent = 'Play';
-             this.draw();
-             updateInfo(null, 'Sort complete!');
-        }
+    // Lomuto partition: the last element is the pivot; [lo, i) holds values smaller than it
+    generateQuickSortSteps(arr) {
+        const fixed = [];
+        const sort = (lo, hi) => {
+            if (lo > hi) return;
+            if (lo === hi) {
+                fixed.push(lo);
+                this.animationQueue.push({ type: 'mark', overlay: { fixed: [...fixed] }, text: `${arr[lo]} is in its final place` });
+                return;
+            }
+            const pivot = arr[hi];
+            let i = lo;
+            const overlay = (j) => ({ shade: [lo, hi], divider: i, dividerLabels: ['< pivot', '≥ pivot'], pointers: { pivot: hi, i, j }, fixed: [...fixed] });
+
+            this.animationQueue.push({ type: 'mark', overlay: overlay(lo), text: `Partitioning [${lo}..${hi}] around pivot ${pivot}` });
+            for (let j = lo; j < hi; j++) {
+                this.animationQueue.push({ type: 'compare', indices: [j, hi], overlay: overlay(j), text: `Comparing ${arr[j]} with pivot ${pivot}` });
+                if (arr[j] < pivot) {
+                    if (i !== j) {
+                        this.animationQueue.push({ type: 'swap', indices: [i, j], text: `${arr[j]} < ${pivot}: swapping it to the left side` });
+                        [arr[i], arr[j]] = [arr[j], arr[i]];
+                    }
+                    i++;
+                }
+            }
+            if (i !== hi) {
+                this.animationQueue.push({ type: 'swap', indices: [i, hi], overlay: overlay(hi), text: `Moving pivot ${pivot} to index ${i}` });
+                [arr[i], arr[hi]] = [arr[hi], arr[i]];
+            }
+            fixed.push(i);
+            this.animationQueue.push({ type: 'mark', overlay: { fixed: [...fixed] }, text: `Pivot ${pivot} is in its final place` });
+            sort(lo, i - 1);
+            sort(i + 1, hi);
+        };
+        sort(0, arr.length - 1);
     }
 
-    pause() {
-        this.isPlaying = false;
-        playPauseBtn.textContent = 'Play';
+    // Build a max-heap, then repeatedly swap the root behind the heap/sorted divider
+    generateHeapSortSteps(arr) {
+        const n = arr.length;
+        const overlay = (size) => ({ divider: size, dividerLabels: ['heap', 'sorted'], sortedFrom: size });
+        const siftDown = (i, size) => {
+            while (true) {
+                const left = 2 * i + 1;
+                const right = 2 * i + 2;
+                let largest = i;
+                if (left < size) {
+                    this.animationQueue.push({ type: 'compare', indices: [left, largest], overlay: overlay(size), text: `Comparing child ${arr[left]} with ${arr[largest]}` });
+                    if (arr[left] > arr[largest]) largest = left;
+                }
+                if (right < size) {
+                    this.animationQueue.push({ type: 'compare', indices: [right, largest], overlay: overlay(size), text: `Comparing child ${arr[right]} with ${arr[largest]}` });
+                    if (arr[right] > arr[largest]) largest = right;
+                }
+                if (largest === i) return;
+                this.animationQueue.push({ type: 'swap', indices: [i, largest], text: `Sifting ${arr[i]} down` });
+                [arr[i], arr[largest]] = [arr[largest], arr[i]];
+                i = largest;
+            }
+        };
+
+        this.animationQueue.push({ type: 'mark', overlay: overlay(n), text: 'Building a max-heap' });
+        for (let i = Math.floor(n / 2) - 1; i >= 0; i--) siftDown(i, n);
+        for (let end = n - 1; end > 0; end--) {
+            this.animationQueue.push({ type: 'swap', indices: [0, end], overlay: overlay(end + 1), text: `Moving max ${arr[0]} behind the heap` });
+            [arr[0], arr[end]] = [arr[end], arr[0]];
+            this.animationQueue.push({ type: 'mark', overlay: overlay(end), text: `${arr[end]} is sorted; restoring the heap` });
+            siftDown(0, end);
+        }
+        this.animationQueue.push({ type: 'mark', overlay: overlay(0), text: 'Heap sort complete' });
+    }
+
+    // Tally every value into a count array indexed by value - min, then write the keys back in order
+    generateCountingSortSteps(arr) {
+        const min = Math.min(...arr);
+        const max = Math.max(...arr);
+        if (max - min + 1 > 100) {
+            showMessage('Counting sort needs a value range of at most 100.', 'error');
+            return false;
+        }
+        const counts = new Array(max - min + 1).fill(0);
+        const labels = counts.map((_, i) => min + i);
+        this.animationQueue.push({ type: 'tray', tray: { kind: 'count', slots: [...counts], labels }, text: `Count array for keys ${min}..${max}` });
+
+        arr.forEach((value, i) => {
+            this.animationQueue.push({ type: 'tally', index: i, slot: value - min, text: `Counting ${value}` });
+            counts[value - min]++;
+        });
+
+        let k = 0;
+        counts.forEach((count, slot) => {
+            for (let c = 0; c < count; c++) {
+                this.animationQueue.push({ type: 'emit', index: k, slot, value: min + slot, text: `Writing ${min + slot} to index ${k}` });
+                arr[k++] = min + slot;
+            }
+        });
+        return true;
+    }
+
+    // LSD radix sort: one distribute/collect pass over the ten digit buckets per decimal place
+    generateRadixSortSteps(arr) {
+        if (arr.some(value => value < 0)) {
+            showMessage('Radix sort works on non-negative values only.', 'error');
+            return false;
+        }
+        const placeNames = { 1: 'ones', 10: 'tens', 100: 'hundreds' };
+        const labels = Array.from({ length: 10 }, (_, d) => d);
+        const max = Math.max(...arr);
+
+        for (let place = 1; place === 1 || place <= max; place *= 10) {
+            const name = placeNames[place] || `${place}s`;
+            const buckets = labels.map(() => []);
+            this.animationQueue.push({ type: 'tray', tray: { kind: 'digit', slots: labels.map(() => []), labels }, text: `Pass on the ${name} digit` });
+
+            arr.forEach((value, i) => {
+                const digit = Math.floor(value / place) % 10;
+                this.animationQueue.push({ type: 'distribute', index: i, slot: digit, value, text: `${value} has ${name} digit ${digit}` });
+                buckets[digit].push(value);
+            });
+
+            let k = 0;
+            buckets.forEach((bucket, digit) => {
+                bucket.forEach(value => {
+                    this.animationQueue.push({ type: 'collect', index: k, slot: digit, value, text: `Collecting ${value} from bucket ${digit}` });
+                    arr[k++] = value;
+                });
+            });
+        }
+        return true;
+    }
+
+    // --- FENWICK & SEGMENT TREES ---
+    // kind is 'fenwick' (sums), 'segmentSum' or 'segmentMin'; `animate` is off when insert/delete rebuild
+    async buildRangeTree(kind, animate = true) {
+        if (animate) {
+            if (this.player.isBusy || this.array.length === 0) return;
+            if (this.renderer === 'bars') {
+                showMessage('Range trees are drawn in the cell view.', 'error');
+                return;
+            }
+            this.player.settle();
+            this.resetSort();
+            updateInfo('buildRangeTree');
+            this.player.begin(INFO.buildRangeTree.status);
+        }
+        const pause = (ms, arrayHighlights = {}) => {
+            if (animate) this.player.record(arrayHighlights, ms);
+        };
+        const describe = text => {
+            if (animate) this.player.describe(text);
+        };
+
+        if (kind === 'fenwick') {
+            // T[i] covers the lowbit(i) elements ending at index i - 1; each node pushes its total to its parent
+            const n = this.array.length;
+            this.rangeTree = { kind, tree: new Array(n + 1).fill(null), highlights: {} };
+            const { tree } = this.rangeTree;
+            for (let i = 1; i <= n; i++) {
+                tree[i] = (tree[i] || 0) + this.array[i - 1];
+                this.rangeTree.highlights = { [i]: '#fbbf24' };
+                describe(`T[${i}] += a[${i - 1}] → ${tree[i]}`);
+                pause(400, { [i - 1]: '#fbbf24' });
+                const parent = i + (i & -i);
+                if (parent <= n) {
+                    tree[parent] = (tree[parent] || 0) + tree[i];
+                    this.rangeTree.highlights = { [i]: '#fbbf24', [parent]: '#4ade80' };
+                    describe(`Pushing T[${i}] up to T[${parent}] → ${tree[parent]}`);
+                    pause(400);
+                }
+            }
+            this.rangeTree.highlights = {};
+        } else {
+            const combine = kind === 'segmentMin' ? Math.min : (a, b) => a + b;
+            const nodes = [];
+            const build = (l, r, depth) => {
+                const node = { id: nodes.length, l, r, depth, value: null, left: null, right: null };
+                nodes.push(node);
+                if (l === r) {
+                    node.value = this.array[l];
+                } else {
+                    const mid = Math.floor((l + r) / 2);
+                    node.left = build(l, mid, depth + 1);
+                    node.right = build(mid + 1, r, depth + 1);
+                    node.value = combine(node.left.value, node.right.value);
+                }
+                this.rangeTree.highlights = { [node.id]: '#4ade80' };
+                describe(`Node [${l}..${r}] = ${node.value}`);
+                const cells = {};
+                for (let i = l; i <= r; i++) cells[i] = '#fde68a';
+                pause(350, cells);
+                return node;
+            };
+            // Nodes are recorded as they are created, so the tree grows on screen during the build
+            this.rangeTree = { kind, nodes, root: null, combine, identity: kind === 'segmentMin' ? Infinity : 0, highlights: {} };
+            this.rangeTree.root = build(0, this.array.length - 1, 0);
+            this.rangeTree.highlights = {};
+        }
+
+        if (!animate) return;
+        await this.player.finish({ message: [`${kind === 'fenwick' ? 'Fenwick tree' : 'Segment tree'} built.`, 'success'] });
+    }
+
+    // Changes one element and fixes only the nodes that cover it
+    async pointUpdate(index, value) {
+        if (this.player.isBusy) return;
+        this.player.settle();
+        if (!this.rangeTree) {
+            showMessage('Build a Fenwick or segment tree first.', 'error');
+            return;
+        }
+        if (isNaN(index) || isNaN(value) || index < 0 || index >= this.array.length) {
+            showMessage('Invalid index or value.', 'error');
+            return;
+        }
+        this.prefixSumArray = null;
+        updateInfo('pointUpdate');
+        this.player.begin(`Setting a[${index}] = ${value}`);
+        const previous = this.array[index];
+        this.array[index] = value;
+        let touched = 0;
+
+        if (this.rangeTree.kind === 'fenwick') {
+            const { tree } = this.rangeTree;
+            const delta = value - previous;
+            for (let i = index + 1; i < tree.length; i += i & -i) {
+                tree[i] += delta;
+                touched++;
+                this.rangeTree.highlights[i] = '#4ade80';
+                this.player.describe(`T[${i}] += ${delta} → ${tree[i]}`);
+                this.player.record({ [index]: '#fbbf24' }, 500);
+            }
+        } else {
+            const { combine } = this.rangeTree;
+            const update = (node) => {
+                touched++;
+                this.rangeTree.highlights[node.id] = '#fbbf24';
+                this.player.record({ [index]: '#fbbf24' }, 300);
+                if (node.l === node.r) {
+                    node.value = value;
+                } else {
+                    update(index <= node.left.r ? node.left : node.right);
+                    node.value = combine(node.left.value, node.right.value);
+                }
+                this.rangeTree.highlights[node.id] = '#4ade80';
+                this.player.describe(`Node [${node.l}..${node.r}] = ${node.value}`);
+                this.player.record({ [index]: '#fbbf24' }, 300);
+            };
+            update(this.rangeTree.root);
+        }
+
+        this.player.record({ [index]: '#fbbf24' }, 1200, { message: [`a[${index}] updated; ${touched} nodes changed, no rebuild.`, 'success'] });
+        this.rangeTree.highlights = {};
+        await this.player.finish();
+    }
+
+    async rangeQuery(start, end) {
+        if (this.player.isBusy) return;
+        this.player.settle();
+        if (!this.rangeTree) {
+            showMessage('Build a Fenwick or segment tree first.', 'error');
+            return;
+        }
+        if (isNaN(start) || isNaN(end) || start < 0 || end >= this.array.length || start > end) {
+            showMessage('Invalid start or end index.', 'error');
+            return;
+        }
+        const cells = {};
+        for (let i = start; i <= end; i++) cells[i] = '#fde68a';
+        const { highlights } = this.rangeTree;
+        let result;
+
+        if (this.rangeTree.kind === 'fenwick') {
+            updateInfo('rangeQuery');
+            this.player.begin(`sum(${start}..${end}) = prefix(${end}) − prefix(${start - 1})`);
+            const { tree } = this.rangeTree;
+            // Walk down by clearing the lowest set bit; the second walk's nodes are subtracted
+            const prefix = (count, color, label) => {
+                let total = 0;
+                for (let i = count; i > 0; i -= i & -i) {
+                    total += tree[i];
+                    highlights[i] = color;
+                    this.player.describe(`${label}: + T[${i}] (${tree[i]}) → ${total}`);
+                    this.player.record(cells, 500);
+                }
+                return total;
+            };
+            const upper = prefix(end + 1, '#4ade80', `prefix(${end})`);
+            const lower = prefix(start, '#f87171', `prefix(${start - 1})`);
+            result = upper - lower;
+        } else {
+            updateInfo('rangeQuery');
+            this.player.begin(`${this.rangeTree.kind === 'segmentMin' ? 'min' : 'sum'}(${start}..${end})`);
+            const { combine, identity } = this.rangeTree;
+            // Green nodes lie inside the range and are used whole, amber ones are split, grey ones skipped
+            const query = (node) => {
+                if (node.r < start || node.l > end) {
+                    highlights[node.id] = '#cbd5e1';
+                    this.player.record(cells, 250);
+                    return identity;
+                }
+                if (start <= node.l && node.r <= end) {
+                    highlights[node.id] = '#4ade80';
+                    this.player.describe(`Node [${node.l}..${node.r}] is inside the range: ${node.value}`);
+                    this.player.record(cells, 500);
+                    return node.value;
+                }
+                highlights[node.id] = '#fbbf24';
+                this.player.describe(`Node [${node.l}..${node.r}] overlaps the range: splitting`);
+                this.player.record(cells, 400);
+                return combine(query(node.left), query(node.right));
+            };
+            result = query(this.rangeTree.root);
+        }
+
+        const operation = this.rangeTree.kind === 'segmentMin' ? 'Min' : 'Sum';
+        this.player.describe(`${operation} of [${start}..${end}] = ${result}`);
+        this.player.record(cells, 2000, { message: [`${operation} of [${start}..${end}] is ${result}.`, 'success'] });
+        this.rangeTree.highlights = {};
+        await this.player.finish();
+    }
+
+    drawRangeTree({ cellX, cellSize }, top) {
+        const ctx = this.ctx;
+        const { kind, highlights } = this.rangeTree;
+        const boxHeight = 26;
+        const drawBox = (x0, x1, y, value, color) => {
+            ctx.beginPath();
+            ctx.roundRect(x0 + 2, y, x1 - x0 - 4, boxHeight, 6);
+            if (value === null) {
+                ctx.strokeStyle = '#cbd5e1';
+                ctx.setLineDash([4, 4]);
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+                ctx.setLineDash([]);
+                return;
+            }
+            ctx.fillStyle = color || '#e0e7ff'; // indigo-100
+            ctx.strokeStyle = '#6366f1';
+            ctx.lineWidth = 1.5;
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#1e1b4b';
+            ctx.font = `bold ${Math.min(13, cellSize * 0.3)}px Inter`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(value, (x0 + x1) / 2, y + boxHeight / 2);
+        };
+
+        ctx.fillStyle = '#475569';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(kind === 'fenwick' ? 'BIT' : kind === 'segmentMin' ? 'min' : 'sum', cellX(0) - 10, top + boxHeight / 2);
+
+        if (kind === 'fenwick') {
+            // Each T[i] spans the cells it covers, one row per lowbit size
+            const { tree } = this.rangeTree;
+            for (let i = 1; i < tree.length; i++) {
+                const low = i & -i;
+                const y = top + Math.log2(low) * (boxHeight + 10);
+                drawBox(cellX(i - low), cellX(i - 1) + cellSize, y, tree[i], highlights[i]);
+                ctx.fillStyle = '#64748b';
+                ctx.font = `${Math.min(10, cellSize * 0.22)}px Fira Code`;
+                ctx.textAlign = 'right';
+                ctx.fillText(`T${i}`, cellX(i - 1) + cellSize - 4, y + boxHeight + 5);
+            }
+            return;
+        }
+
+        // Segment nodes span the cells of their range; the level gap shrinks to fit the canvas
+        const { nodes } = this.rangeTree;
+        const maxDepth = Math.max(1, ...nodes.map(node => node.depth));
+        const levelGap = Math.min(44, (this.height - top - boxHeight - 4) / maxDepth);
+        const nodeY = node => top + node.depth * levelGap;
+        nodes.forEach(node => {
+            [node.left, node.right].forEach(child => {
+                if (!child) return;
+                ctx.beginPath();
+                ctx.moveTo((cellX(node.l) + cellX(node.r) + cellSize) / 2, nodeY(node) + boxHeight);
+                ctx.lineTo((cellX(child.l) + cellX(child.r) + cellSize) / 2, nodeY(child));
+                ctx.strokeStyle = '#cbd5e1';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            });
+        });
+        nodes.forEach(node => drawBox(cellX(node.l), cellX(node.r) + cellSize, nodeY(node), node.value, highlights[node.id]));
+    }
+
+    // --- SEARCH ---
+    prepareSearch(searchType, target) {
+        if (this.player.isBusy || this.array.length === 0) return;
+        this.player.settle();
+        if (isNaN(target)) {
+            showMessage('Please enter a value to search for.', 'error');
+            return;
+        }
+        if (searchType !== 'linearSearch' && !this.isSorted(this.array)) {
+            showMessage(`${INFO[searchType].status} needs a sorted array. Sort it first.`, 'error');
+            return;
+        }
+        this.animationQueue = [];
+        this.currentStep = 0;
+        this.clearSortOverlay();
+        this.rangeTree = null;
+        updateInfo(searchType);
+
+        const n = this.array.length;
+        const blockSize = Math.max(1, Math.floor(Math.sqrt(n)));
+        const bounds = {
+            linearSearch: `${n}`,
+            binarySearch: `${Math.floor(Math.log2(n)) + 1}`,
+            jumpSearch: `${Math.ceil(n / blockSize) + blockSize - 1}`,
+            interpolationSearch: `~${Math.max(1, Math.ceil(Math.log2(Math.max(1, Math.log2(n)))) + 1)} avg, ${n} worst`,
+        };
+        this.runInfo = { type: searchType, bound: bounds[searchType] };
+
+        switch (searchType) {
+            case 'linearSearch': this.generateLinearSearchSteps(this.array, target); break;
+            case 'binarySearch': this.generateBinarySearchSteps(this.array, target); break;
+            case 'jumpSearch': this.generateJumpSearchSteps(this.array, target, blockSize); break;
+            case 'interpolationSearch': this.generateInterpolationSearchSteps(this.array, target); break;
+        }
+        this.recordCheckpoints();
+        this.loadTimeline();
+        this.draw();
+        showMessage('Ready to visualize. Press Play or Step.', 'info');
+    }
+
+    // Every search step carries the running probe count shown next to the bound
+    pushProbe(index, probes, overlay, text) {
+        this.animationQueue.push({ type: 'probe', index, probes, overlay, text });
+    }
+
+    pushSearchResult(arr, target, index, probes, overlay = null) {
+        if (index === -1) this.animationQueue.push({ type: 'mark', probes, overlay: null, text: `${target} not found after ${probes} probe${probes === 1 ? '' : 's'}` });
+        else this.animationQueue.push({ type: 'found', index, probes, overlay, text: `Found ${target} at index ${index} after ${probes} probe${probes === 1 ? '' : 's'}` });
+    }
+
+    generateLinearSearchSteps(arr, target) {
+        for (let i = 0; i < arr.length; i++) {
+            this.pushProbe(i, i + 1, { pointers: { i } }, `Checking index ${i}: ${arr[i]}`);
+            if (arr[i] === target) return this.pushSearchResult(arr, target, i, i + 1, { pointers: { i } });
+        }
+        this.pushSearchResult(arr, target, -1, arr.length);
+    }
+
+    generateBinarySearchSteps(arr, target) {
+        let lo = 0;
+        let hi = arr.length - 1;
+        let probes = 0;
+        while (lo <= hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            const overlay = { shade: [lo, hi], pointers: { lo, mid, hi } };
+            this.pushProbe(mid, ++probes, overlay, `lo=${lo}, hi=${hi}: checking mid ${mid} (${arr[mid]})`);
+            if (arr[mid] === target) return this.pushSearchResult(arr, target, mid, probes, overlay);
+            if (arr[mid] < target) lo = mid + 1;
+            else hi = mid - 1;
+        }
+        this.pushSearchResult(arr, target, -1, probes);
+    }
+
+    // Jump ahead one block of √n at a time, then scan linearly inside the block that may hold the target
+    generateJumpSearchSteps(arr, target, blockSize) {
+        const n = arr.length;
+        let probes = 0;
+        let start = 0;
+        let end = Math.min(blockSize, n) - 1;
+        while (true) {
+            this.pushProbe(end, ++probes, { shade: [start, end], pointers: { end } }, `Block [${start}..${end}] ends with ${arr[end]}`);
+            if (arr[end] >= target) break;
+            start = end + 1;
+            if (start >= n) return this.pushSearchResult(arr, target, -1, probes);
+            end = Math.min(end + blockSize, n - 1);
+        }
+        for (let i = start; i <= end; i++) {
+            const overlay = { shade: [start, end], pointers: { i } };
+            this.pushProbe(i, ++probes, overlay, `Scanning block: index ${i} holds ${arr[i]}`);
+            if (arr[i] === target) return this.pushSearchResult(arr, target, i, probes, overlay);
+            if (arr[i] > target) break;
+        }
+        this.pushSearchResult(arr, target, -1, probes);
+    }
+
+    // Like binary search, but probes where the target would sit if values were evenly spread
+    generateInterpolationSearchSteps(arr, target) {
+        let lo = 0;
+        let hi = arr.length - 1;
+        let probes = 0;
+        while (lo <= hi && target >= arr[lo] && target <= arr[hi]) {
+            const pos = arr[hi] === arr[lo] ? lo : lo + Math.floor((target - arr[lo]) * (hi - lo) / (arr[hi] - arr[lo]));
+            const overlay = { shade: [lo, hi], pointers: { lo, pos, hi } };
+            this.pushProbe(pos, ++probes, overlay, `Estimated position ${pos} from ${arr[lo]}..${arr[hi]}: ${arr[pos]}`);
+            if (arr[pos] === target) return this.pushSearchResult(arr, target, pos, probes, overlay);
+            if (arr[pos] < target) lo = pos + 1;
+            else hi = pos - 1;
+        }
+        this.pushSearchResult(arr, target, -1, probes);
+    }
+
+    // --- TWO POINTERS & SLIDING WINDOW ---
+    preparePattern(patternType, param) {
+        if (this.player.isBusy || this.array.length === 0) return;
+        this.player.settle();
+        if (['pairSum', 'maxWindowSum', 'longestSubarray'].includes(patternType) && isNaN(param)) {
+            showMessage('Please enter the target, k or S for this algorithm.', 'error');
+            return;
+        }
+        this.animationQueue = [];
+        this.currentStep = 0;
+        this.clearSortOverlay();
+        this.rangeTree = null;
+
+        const arr = [...this.array];
+        let isValid = true;
+        switch (patternType) {
+            case 'pairSum': isValid = this.generatePairSumSteps(arr, param); break;
+            case 'removeDuplicates': isValid = this.generateRemoveDuplicatesSteps(arr); break;
+            case 'maxWindowSum': isValid = this.generateMaxWindowSumSteps(arr, param); break;
+            case 'longestSubarray': isValid = this.generateLongestSubarraySteps(arr, param); break;
+            case 'kadane': this.generateKadaneSteps(arr); break;
+        }
+        if (!isValid) {
+            this.resetSort();
+            return;
+        }
+        updateInfo(patternType);
+        this.runInfo = { type: patternType };
+        this.recordCheckpoints();
+        this.loadTimeline();
+        this.draw();
+        showMessage('Ready to visualize. Press Play or Step.', 'info');
+    }
+
+    isSorted(arr) {
+        return arr.every((value, i) => i === 0 || arr[i - 1] <= value);
+    }
+
+    // Sorted input: move L right when the sum is too small, R left when it is too large
+    generatePairSumSteps(arr, target) {
+        if (!this.isSorted(arr)) {
+            showMessage('Pair sum with two pointers needs a sorted array. Sort it first.', 'error');
+            return false;
+        }
+        let left = 0;
+        let right = arr.length - 1;
+        while (left < right) {
+            const sum = arr[left] + arr[right];
+            const overlay = { pointers: { L: left, R: right } };
+            if (sum === target) {
+                this.animationQueue.push({ type: 'found', indices: [left, right], overlay, text: `${arr[left]} + ${arr[right]} = ${target}` });
+                return true;
+            }
+            const move = sum < target ? 'too small, moving L right' : 'too large, moving R left';
+            this.animationQueue.push({ type: 'focus', indices: [left, right], overlay, text: `${arr[left]} + ${arr[right]} = ${sum}: ${move}` });
+            if (sum < target) left++;
+            else right--;
+        }
+        this.animationQueue.push({ type: 'mark', overlay: null, text: `No pair sums to ${target}` });
+        return true;
+    }
+
+    // Slow pointer k marks the end of the unique prefix; fast pointer i scans ahead
+    generateRemoveDuplicatesSteps(arr) {
+        if (!this.isSorted(arr)) {
+            showMessage('Removing duplicates in place needs a sorted array. Sort it first.', 'error');
+            return false;
+        }
+        let k = 1;
+        for (let i = 1; i < arr.length; i++) {
+            const overlay = { pointers: { k, i }, divider: k, dividerLabels: ['unique', ''] };
+            this.animationQueue.push({ type: 'focus', indices: [k - 1, i], overlay, text: `Comparing ${arr[i]} with the last unique value ${arr[k - 1]}` });
+            if (arr[i] !== arr[k - 1]) {
+                this.animationQueue.push({ type: 'insert', index: k, value: arr[i], overlay, text: `New value ${arr[i]}: writing it to index ${k}` });
+                arr[k] = arr[i];
+                k++;
+            }
+        }
+        const unique = Array.from({ length: k }, (_, i) => i);
+        this.animationQueue.push({ type: 'found', indices: unique, overlay: { divider: k, dividerLabels: ['unique', 'leftover'] }, text: `${k} unique values kept in [0..${k - 1}]` });
+        return true;
+    }
+
+    generateMaxWindowSumSteps(arr, k) {
+        const n = arr.length;
+        if (k < 1 || k > n) {
+            showMessage(`Window size k must be between 1 and ${n}.`, 'error');
+            return false;
+        }
+        let sum = 0;
+        for (let i = 0; i < k; i++) {
+            sum += arr[i];
+            this.animationQueue.push({ type: 'focus', indices: [i], overlay: { shade: [0, i], pointers: { L: 0, R: i } }, text: `Building the first window: sum = ${sum}` });
+        }
+        let best = sum;
+        let bestStart = 0;
+        for (let right = k; right < n; right++) {
+            const left = right - k + 1;
+            sum += arr[right] - arr[right - k];
+            const isBest = sum > best;
+            if (isBest) {
+                best = sum;
+                bestStart = left;
+            }
+            this.animationQueue.push({ type: 'focus', indices: [right - k, right], overlay: { shade: [left, right], pointers: { L: left, R: right } }, text: `Slide: +${arr[right]} −${arr[right - k]} → sum = ${sum}${isBest ? ' (new best)' : ''}` });
+        }
+        const bestEnd = bestStart + k - 1;
+        const indices = Array.from({ length: k }, (_, i) => bestStart + i);
+        this.animationQueue.push({ type: 'found', indices, overlay: { shade: [bestStart, bestEnd], pointers: { L: bestStart, R: bestEnd } }, text: `Max window sum ${best} at [${bestStart}..${bestEnd}]` });
+        return true;
+    }
+
+    // Expand R every step; shrink L while the window sum exceeds S
+    generateLongestSubarraySteps(arr, limit) {
+        if (arr.some(value => value < 0)) {
+            showMessage('The sliding window needs non-negative values.', 'error');
+            return false;
+        }
+        const windowOverlay = (left, right) => ({ shade: left <= right ? [left, right] : undefined, pointers: { L: left, R: right } });
+        let left = 0;
+        let sum = 0;
+        let bestLength = 0;
+        let bestStart = 0;
+        for (let right = 0; right < arr.length; right++) {
+            sum += arr[right];
+            this.animationQueue.push({ type: 'focus', indices: [right], overlay: windowOverlay(left, right), text: `Expand: add ${arr[right]} → sum = ${sum}` });
+            while (sum > limit && left <= right) {
+                sum -= arr[left];
+                this.animationQueue.push({ type: 'focus', indices: [left], overlay: windowOverlay(left + 1, right), text: `Sum > ${limit}: shrink, drop ${arr[left]} → sum = ${sum}` });
+                left++;
+            }
+            if (right - left + 1 > bestLength) {
+                bestLength = right - left + 1;
+                bestStart = left;
+                this.animationQueue.push({ type: 'mark', overlay: windowOverlay(left, right), text: `[${left}..${right}] has sum ${sum} ≤ ${limit}: new longest (${bestLength})` });
+            }
+        }
+        if (bestLength === 0) {
+            this.animationQueue.push({ type: 'mark', overlay: null, text: `Every value exceeds ${limit}` });
+            return true;
+        }
+        const bestEnd = bestStart + bestLength - 1;
+        const indices = Array.from({ length: bestLength }, (_, i) => bestStart + i);
+        this.animationQueue.push({ type: 'found', indices, overlay: windowOverlay(bestStart, bestEnd), text: `Longest subarray with sum ≤ ${limit}: [${bestStart}..${bestEnd}], length ${bestLength}` });
+        return true;
+    }
+
+    // Extend the current run while it helps; restart at i once the run alone is worse than arr[i]
+    generateKadaneSteps(arr) {
+        let current = arr[0];
+        let best = arr[0];
+        let start = 0;
+        let bestStart = 0;
+        let bestEnd = 0;
+        this.animationQueue.push({ type: 'focus', indices: [0], overlay: { shade: [0, 0], pointers: { start: 0, i: 0 } }, text: `Start: current = best = ${arr[0]}` });
+        for (let i = 1; i < arr.length; i++) {
+            let text;
+            if (current + arr[i] < arr[i]) {
+                text = `${current} + ${arr[i]} < ${arr[i]}: restart the run at ${i}`;
+                current = arr[i];
+                start = i;
+            } else {
+                current += arr[i];
+                text = `Extend the run: current = ${current}`;
+            }
+            if (current > best) {
+                best = current;
+                bestStart = start;
+                bestEnd = i;
+                text += `, new best ${best}`;
+            }
+            this.animationQueue.push({ type: 'focus', indices: [i], overlay: { shade: [start, i], pointers: { start, i } }, text });
+        }
+        const indices = Array.from({ length: bestEnd - bestStart + 1 }, (_, i) => bestStart + i);
+        this.animationQueue.push({ type: 'found', indices, overlay: { shade: [bestStart, bestEnd] }, text: `Maximum subarray sum ${best} at [${bestStart}..${bestEnd}]` });
+    }
+
+    clearSortOverlay() {
+        this.aux = null;
+        this.overlay = null;
+        this.tray = null;
+    }
+
+    // Drops a prepared sort once the array is edited, since its steps no longer apply
+    resetSort() {
+        this.runInfo = null;
+        this.animationQueue = [];
+        this.checkpoints = [];
+        this.currentStep = 0;
+        this.clearSortOverlay();
+        if (this.player) this.player.clear();
+    }
+
+    // --- STEP PLAYER ---
+    // One-off operations (insert, prefix sums, range trees) record frames on the shared player.
+    // Each frame holds a copy of the state it shows, and rendering it restores that state.
+    captureFrame(highlights = {}) {
+        return {
+            state: {
+                array: [...this.array],
+                prefixSumArray: this.prefixSumArray && [...this.prefixSumArray],
+                rangeTree: this.rangeTree && this.cloneRangeTree(this.rangeTree),
+            },
+            highlights,
+        };
+    }
+
+    renderFrame(frame) {
+        const { array, prefixSumArray, rangeTree } = frame.state;
+        this.array = [...array];
+        this.prefixSumArray = prefixSumArray && [...prefixSumArray];
+        this.rangeTree = rangeTree && this.cloneRangeTree(rangeTree);
+        this.renderPrefixSums();
+        this.draw(frame.highlights);
+    }
+
+    cloneRangeTree(rangeTree) {
+        const copy = { ...rangeTree, highlights: { ...rangeTree.highlights } };
+        if (rangeTree.kind === 'fenwick') {
+            copy.tree = [...rangeTree.tree];
+        } else {
+            copy.nodes = rangeTree.nodes.map(node => ({ ...node }));
+            copy.nodes.forEach(node => {
+                if (node.left) node.left = copy.nodes[node.left.id];
+                if (node.right) node.right = copy.nodes[node.right.id];
+            });
+            copy.root = rangeTree.root && copy.nodes[rangeTree.root.id];
+        }
+        return copy;
+    }
+
+    // Sorts, searches and techniques hand their step list to the player as a timeline;
+    // position i is the state after i steps
+    loadTimeline() {
+        this.player.load({
+            frameCount: this.animationQueue.length + 1,
+            show: (index, animate) => this.showPosition(index, animate),
+            duration: () => (this.renderer === 'bars' ? 0 : 400),
+            // Bar charts advance several steps per animation frame instead of pausing on each one
+            stride: () => (this.renderer === 'bars' ? this.stepsPerFrame() : 1),
+        });
+        this.updateProbeDisplay();
+    }
+
+    async showPosition(index, animate) {
+        const isBarPlayback = this.renderer === 'bars' && this.player.isPlaying;
+        if (animate && !isBarPlayback && index === this.currentStep + 1) await this.stepForward();
+        else this.jumpTo(index);
+    }
+
+    takeSnapshot() {
+        return {
+            array: [...this.array],
+            aux: this.aux && [...this.aux],
+            overlay: this.overlay,
+            tray: this.tray && { ...this.tray, slots: this.tray.slots.map(slot => Array.isArray(slot) ? [...slot] : slot) },
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.array = [...snapshot.array];
+        this.aux = snapshot.aux && [...snapshot.aux];
+        this.overlay = snapshot.overlay;
+        this.tray = snapshot.tray && { ...snapshot.tray, slots: snapshot.tray.slots.map(slot => Array.isArray(slot) ? [...slot] : slot) };
+    }
+
+    // Runs every step once up front so any position on the timeline can be rebuilt from a nearby checkpoint
+    recordCheckpoints() {
+        const start = this.takeSnapshot();
+        this.checkpoints = [start];
+        this.animationQueue.forEach((step, i) => {
+            this.applyStep(step);
+            if ((i + 1) % CHECKPOINT_INTERVAL === 0) this.checkpoints.push(this.takeSnapshot());
+        });
+        this.restoreSnapshot(start);
+    }
+
+    // Moves the state to just after `index` steps, replaying forward from the current step when it is close
+    seek(index) {
+        const total = this.animationQueue.length;
+        index = Math.max(0, Math.min(index, total));
+        if (index < this.currentStep || index - this.currentStep > CHECKPOINT_INTERVAL) {
+            const checkpoint = Math.floor(index / CHECKPOINT_INTERVAL);
+            this.restoreSnapshot(this.checkpoints[checkpoint]);
+            this.currentStep = checkpoint * CHECKPOINT_INTERVAL;
+        }
+        while (this.currentStep < index) this.applyStep(this.animationQueue[this.currentStep++]);
+        // A finished sort drops its overlays and shows the plain sorted array
+        if (index === total && !this.runInfo) this.clearSortOverlay();
+    }
+
+    applyStep(step) {
+        if ('overlay' in step) this.overlay = step.overlay;
+        switch (step.type) {
+            case 'swap': {
+                const [i, j] = step.indices;
+                [this.array[i], this.array[j]] = [this.array[j], this.array[i]];
+                break;
+            }
+            case 'shift': this.array[step.indices[1]] = this.array[step.indices[0]]; break;
+            case 'insert':
+            case 'overwrite': this.array[step.index] = step.value; break;
+            case 'auxCopy': {
+                this.aux = new Array(this.array.length).fill(null);
+                step.values.forEach((value, k) => { this.aux[step.range[0] + k] = value; });
+                break;
+            }
+            case 'auxClear': this.aux = null; break;
+            case 'tray': this.tray = { ...step.tray, slots: step.tray.slots.map(slot => Array.isArray(slot) ? [...slot] : slot), taken: 0, placed: 0, active: null }; break;
+            case 'tally':
+            case 'distribute': {
+                this.tray.active = step.slot;
+                if (step.type === 'tally') this.tray.slots[step.slot]++;
+                else this.tray.slots[step.slot].push(step.value);
+                this.tray.taken = step.index + 1;
+                break;
+            }
+            case 'emit':
+            case 'collect': {
+                this.tray.active = step.slot;
+                if (step.type === 'emit') this.tray.slots[step.slot]--;
+                else this.tray.slots[step.slot].shift();
+                this.array[step.index] = step.value;
+                this.tray.placed = step.index + 1;
+                break;
+            }
+        }
+    }
+
+    // Highlights shown before and after a step is applied; steps without a `before` frame apply instantly
+    stepFrames(step) {
+        const paint = (color, ...indices) => Object.fromEntries(indices.map(i => [i, color]));
+        switch (step.type) {
+            case 'compare': return { after: { main: paint('#fde047', ...step.indices) } };
+            case 'probe': return { after: { main: paint('#fbbf24', step.index) } };
+            case 'focus': return { after: { main: paint('#fbbf24', ...step.indices) } };
+            case 'found': return { after: { main: paint('#22c55e', ...(step.indices || [step.index])) } };
+            case 'swap': return { before: { main: paint('#f87171', ...step.indices) }, after: { main: paint('#4ade80', ...step.indices) } };
+            case 'shift': return { before: { main: { [step.indices[0]]: '#fbbf24', [step.indices[1]]: '#fde68a' } }, after: {} };
+            case 'insert': return { before: { main: paint('#4ade80', step.index) }, after: {} };
+            case 'auxCopy': {
+                const [lo, hi] = step.range;
+                return { after: { aux: paint('#5eead4', ...Array.from({ length: hi - lo + 1 }, (_, k) => lo + k)) } };
+            }
+            case 'auxCompare': return { after: { aux: paint('#fde047', ...step.auxIndices) } };
+            case 'overwrite': return { before: { main: paint('#fbbf24', step.index), aux: paint('#fbbf24', step.auxIndex) }, after: { main: paint('#4ade80', step.index) } };
+            case 'tally':
+            case 'distribute': return { before: { main: paint('#fbbf24', step.index) }, after: {} };
+            case 'emit':
+            case 'collect': return { before: {}, after: { main: paint('#4ade80', step.index) } };
+            default: return { after: {} };
+        }
+    }
+
+    async stepForward() {
+        const step = this.animationQueue[this.currentStep];
+        const frames = this.stepFrames(step);
+        statusDisplay.textContent = step.text;
+
+        if (frames.before) {
+            if ('overlay' in step) this.overlay = step.overlay;
+            if (this.tray && step.slot !== undefined) this.tray.active = step.slot;
+            this.draw(frames.before.main, frames.before.aux);
+            await this.player.wait(250);
+        }
+        if (this.currentStep + 1 === this.animationQueue.length) {
+            // The last step lands on the finished state
+            this.jumpTo(this.currentStep + 1);
+            return;
+        }
+        this.seek(this.currentStep + 1);
+        this.draw(frames.after.main, frames.after.aux);
+        this.updateProbeDisplay();
+    }
+
+    // Restores the state after `index` steps, showing the highlights of the step that produced it
+    showStep(index) {
+        this.seek(index);
+        if (this.currentStep === 0 || (this.currentStep === this.animationQueue.length && !this.runInfo)) {
+            this.draw();
+            return;
+        }
+        const { after } = this.stepFrames(this.animationQueue[this.currentStep - 1]);
+        this.draw(after.main, after.aux);
+    }
+
+    // A finished sort drops its overlays and shows the plain array; searches and techniques keep their result
+    jumpTo(index) {
+        if (this.animationQueue.length === 0) return;
+        this.showStep(index);
+        if (this.currentStep === 0) statusDisplay.textContent = 'Ready to visualize. Press Play or Step.';
+        else if (this.currentStep === this.animationQueue.length && !this.runInfo) statusDisplay.textContent = 'Sort complete!';
+        else statusDisplay.textContent = this.animationQueue[this.currentStep - 1].text;
+        this.updateProbeDisplay();
+    }
+
+    // Searches show how many probes they have made against their bound
+    updateProbeDisplay() {
+        if (this.isLane || !this.runInfo || !this.runInfo.bound) return;
+        const lastStep = this.animationQueue[this.currentStep - 1];
+        complexityDisplay.textContent = `${INFO[this.runInfo.type].complexity} · probes ${lastStep ? lastStep.probes : 0} / ${this.runInfo.bound}`;
+    }
+
+    // Paces a bar-chart sort to finish in roughly ten seconds at 60 fps
+    stepsPerFrame() {
+        return Math.max(1, Math.ceil(this.animationQueue.length / 600));
+    }
+
+    setRenderer(renderer) {
+        if (this.player.isBusy) return;
+        if (renderer === 'cells' && this.array.length > 15) {
+            showMessage('Cells show at most 15 elements. Create a smaller array first.', 'error');
+            rendererSelect.value = this.renderer;
+            return;
+        }
+        this.renderer = renderer;
+        if (renderer === 'bars') this.rangeTree = null;
+        document.getElementById('create-size').placeholder = `max ${this.maxSize}`;
+        this.draw();
     }
 
     setupEventListeners() {
         document.getElementById('create-btn').addEventListener('click', () => {
-            this.create(parseInt(document.getElementById('create-size').value));
+            this.create(parseInt(document.getElementById('create-size').value), document.getElementById('preset-select').value);
+        });
+
+        rendererSelect.addEventListener('change', () => {
+            this.setRenderer(rendererSelect.value);
+        });
+
+        document.getElementById('search-btn').addEventListener('click', () => {
+            const target = parseInt(document.getElementById('search-value').value);
+            this.prepareSearch(document.getElementById('search-select').value, target);
+        });
+
+        document.getElementById('pattern-btn').addEventListener('click', () => {
+            const param = parseInt(document.getElementById('pattern-param').value);
+            this.preparePattern(document.getElementById('pattern-select').value, param);
+        });
+
+        document.getElementById('range-tree-btn').addEventListener('click', () => {
+            this.buildRangeTree(document.getElementById('range-tree-select').value);
+        });
+
+        document.getElementById('point-update-btn').addEventListener('click', () => {
+            const index = parseInt(document.getElementById('update-index').value);
+            const value = parseInt(document.getElementById('update-value').value);
+            this.pointUpdate(index, value);
+        });
+
+        document.getElementById('range-query-btn').addEventListener('click', () => {
+            const start = parseInt(document.getElementById('range-start').value);
+            const end = parseInt(document.getElementById('range-end').value);
+            this.rangeQuery(start, end);
+        });
+
+        document.getElementById('load-values-btn').addEventListener('click', () => {
+            this.loadValues(document.getElementById('values-input').value);
         });
         
         document.getElementById('insert-btn').addEventListener('click', () => {
@@ -545,15 +1641,7 @@ class ArrayVisualizer {
             this.prepareSort(sortType);
         });
 
-        playPauseBtn.addEventListener('click', () => {
-            if (this.isPlaying) this.pause();
-            else this.play();
-        });
-
-        stepBtn.addEventListener('click', () => {
-            if (!this.isPlaying) this.stepForward();
-        });
-        
+        // --- NEW: Event listeners for prefix sum ---
         document.getElementById('prefix-sum-btn').addEventListener('click', () => {
             this.generatePrefixSum();
         });
@@ -564,7 +1652,159 @@ class ArrayVisualizer {
             this.getRangeSum(start, end);
         });
     }
-}`;
-// The above is just for display, the class below is the one that runs.
-// I have to re-declare it to avoid breaking the context. The user should use the full code.
-new ArrayVisualizer();
\ No newline at end of file
+}
+
+// --- RACE MODE ---
+// Operation counts derived from step types; every move into an array or tray counts as a write
+function countStep(step) {
+    const counts = { comparisons: 0, swaps: 0, shifts: 0, writes: 0 };
+    switch (step.type) {
+        case 'compare':
+        case 'auxCompare': counts.comparisons = 1; break;
+        case 'swap': counts.swaps = 1; counts.writes = 2; break;
+        case 'shift': counts.shifts = 1; counts.writes = 1; break;
+        case 'auxCopy': counts.writes = step.values.length; break;
+        case 'insert':
+        case 'overwrite':
+        case 'tally':
+        case 'distribute':
+        case 'emit':
+        case 'collect': counts.writes = 1; break;
+    }
+    return counts;
+}
+
+class SortRace {
+    constructor(source) {
+        this.source = source; // The page's visualizer; each lane sorts a copy of its array
+        this.lanes = [];
+        this.isPlaying = false;
+        this.runId = 0; // Bumped by pause, so a play loop still sleeping from an earlier run stops
+        this.finishOrder = [];
+        this.setupEventListeners();
+    }
+
+    start(sortTypes) {
+        if (this.source.player.isBusy) return;
+        this.source.player.settle();
+        if (this.source.array.length <= 1) {
+            showMessage('Create an array with at least 2 elements first.', 'error');
+            return;
+        }
+        if (sortTypes.length < 2) {
+            showMessage('Pick at least two algorithms to race.', 'error');
+            return;
+        }
+        this.pause();
+        raceLanes.innerHTML = '';
+        document.getElementById('race-panel').classList.remove('hidden');
+        this.finishOrder = [];
+        this.lanes = sortTypes.map(sortType => this.createLane(sortType)).filter(Boolean);
+        if (this.lanes.length < 2) {
+            raceLanes.innerHTML = '';
+            document.getElementById('race-panel').classList.add('hidden');
+            this.lanes = [];
+            showMessage('Not enough algorithms can sort this input to race.', 'error');
+            return;
+        }
+        this.lanes.forEach(lane => this.updateLane(lane));
+        this.play();
+    }
+
+    createLane(sortType) {
+        const laneEl = document.createElement('div');
+        laneEl.className = 'border-t p-3';
+        laneEl.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-2 text-sm">
+                <span class="font-semibold text-slate-700">${INFO[sortType].status}</span>
+                <span class="lane-stats fira-code text-slate-600"></span>
+            </div>
+            <div class="h-[260px]"><canvas></canvas></div>`;
+        raceLanes.appendChild(laneEl);
+
+        const visualizer = new ArrayVisualizer(laneEl.querySelector('canvas'), { isLane: true, height: 260 });
+        visualizer.renderer = this.source.renderer;
+        visualizer.array = [...this.source.array];
+        if (!visualizer.buildSortSteps(sortType)) {
+            laneEl.remove();
+            return null;
+        }
+        visualizer.draw();
+
+        // totals[i] holds the counts after i steps, so stepping never recounts
+        const totals = [{ comparisons: 0, swaps: 0, shifts: 0, writes: 0 }];
+        visualizer.animationQueue.forEach(step => {
+            const previous = totals[totals.length - 1];
+            const counts = countStep(step);
+            totals.push(Object.fromEntries(Object.keys(previous).map(key => [key, previous[key] + counts[key]])));
+        });
+        return { sortType, visualizer, totals, statsEl: laneEl.querySelector('.lane-stats') };
+    }
+
+    isFinished(lane) {
+        return lane.visualizer.currentStep >= lane.visualizer.animationQueue.length;
+    }
+
+    updateLane(lane) {
+        const { comparisons, swaps, shifts, writes } = lane.totals[lane.visualizer.currentStep];
+        const place = this.finishOrder.indexOf(lane) + 1;
+        const result = place ? ` · ${ordinal(place)} (${lane.visualizer.animationQueue.length} steps)` : '';
+        lane.statsEl.textContent = `comparisons ${comparisons} · swaps ${swaps} · shifts ${shifts} · writes ${writes}${result}`;
+    }
+
+    // Advances every unfinished lane by the same number of steps; false once all lanes are done
+    tick(stride = 1) {
+        const running = this.lanes.filter(lane => !this.isFinished(lane));
+        running.forEach(lane => lane.visualizer.showStep(lane.visualizer.currentStep + stride));
+        // With a stride above 1 several lanes can finish in one tick; the shorter run places first
+        const finished = running.filter(lane => this.isFinished(lane));
+        finished.sort((a, b) => a.visualizer.animationQueue.length - b.visualizer.animationQueue.length);
+        this.finishOrder.push(...finished);
+        this.lanes.forEach(lane => this.updateLane(lane));
+        return running.length > 0 && this.lanes.some(lane => !this.isFinished(lane));
+    }
+
+    async play() {
+        if (this.isPlaying || this.lanes.length === 0 || this.lanes.every(lane => this.isFinished(lane))) return;
+        const run = ++this.runId;
+        this.isPlaying = true;
+        document.getElementById('race-play-btn').textContent = 'Pause';
+        if (this.source.renderer === 'bars') {
+            // Bar-chart lanes move several steps per frame, paced by the longest lane
+            const stride = Math.max(...this.lanes.map(lane => lane.visualizer.stepsPerFrame()));
+            while (run === this.runId && this.tick(stride)) await nextFrame();
+        } else {
+            while (run === this.runId && this.tick()) await sleep(150);
+        }
+        if (run !== this.runId) return;
+        showMessage(`${INFO[this.finishOrder[0].sortType].status} finished first.`, 'success');
+        this.pause();
+    }
+
+    pause() {
+        this.runId++;
+        this.isPlaying = false;
+        document.getElementById('race-play-btn').textContent = 'Play';
+    }
+
+    setupEventListeners() {
+        // Lanes are replaced on every start, so the race resizes whichever lanes are current
+        window.addEventListener('resize', () => this.lanes.forEach(lane => lane.visualizer.setupCanvas()));
+
+        document.getElementById('race-btn').addEventListener('click', () => {
+            const sortTypes = [...document.querySelectorAll('.race-algo:checked')].map(box => box.value);
+            this.start(sortTypes);
+        });
+
+        document.getElementById('race-play-btn').addEventListener('click', () => {
+            if (this.isPlaying) this.pause();
+            else this.play();
+        });
+
+        document.getElementById('race-step-btn').addEventListener('click', () => {
+            if (!this.isPlaying) this.tick();
+        });
+    }
+}
+
+new SortRace(new ArrayVisualizer());
\ No newline at end of file
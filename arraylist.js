@@ -1,19 +1,7 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const statusDisplay = document.getElementById('status-display');
-const complexityDisplay = document.getElementById('complexity-display');
 const infoDisplay = document.getElementById('info-display');
-const messageBox = document.getElementById('messageBox');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 
 // --- OPERATION INFO ---
 const INFO = {
@@ -28,16 +16,6 @@ const INFO = {
     'reverse': { complexity: 'O(n)', status: 'Reversing list...' },
 };
 
-function updateInfo(operation, statusText = null) {
-    if (INFO[operation]) {
-        complexityDisplay.textContent = INFO[operation].complexity;
-        statusDisplay.textContent = statusText || INFO[operation].status;
-    } else {
-        complexityDisplay.textContent = 'O(?)';
-        statusDisplay.textContent = 'Ready';
-    }
-}
-
 // --- VISUALIZER CLASS ---
 class ArrayListVisualizer {
     constructor(initialCapacity = 4) {
@@ -45,8 +23,8 @@ class ArrayListVisualizer {
         this.size = 0;
         this.capacity = initialCapacity;
         this.maxCapacity = 16;
-        this.isAnimating = false;
-        
+        this.player = new StepPlayer(this);
+
         this.setupCanvas();
         this.setupEventListeners();
         window.addEventListener('resize', () => this.setupCanvas());
@@ -58,19 +36,28 @@ class ArrayListVisualizer {
         canvas.width = rect.width * dpr;
         canvas.height = rect.height * dpr;
         ctx.scale(dpr, dpr);
-        this.draw();
+        this.player.refresh();
     }
 
-    updateDisplayInfo() {
-        infoDisplay.textContent = `Size: ${this.size}, Capacity: ${this.capacity}`;
+    // --- Step player hooks ---
+    captureFrame(highlights = {}) {
+        return { list: { elements: [...this.elements], size: this.size, capacity: this.capacity }, highlights };
     }
 
-    draw(highlights = {}) {
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.list);
+    }
+
+    updateDisplayInfo(size = this.size, capacity = this.capacity) {
+        infoDisplay.textContent = `Size: ${size}, Capacity: ${capacity}`;
+    }
+
+    draw(highlights = {}, { elements, size, capacity } = this) {
         const rect = canvas.parentElement.getBoundingClientRect();
         ctx.clearRect(0, 0, rect.width, rect.height);
-        this.updateDisplayInfo();
+        this.updateDisplayInfo(size, capacity);
 
-        const n = this.capacity;
+        const n = capacity;
         const cellSize = Math.min(60, (rect.width - 60) / n);
         const spacing = 8;
         const totalWidth = (n * cellSize) + ((n - 1) * spacing);
@@ -83,7 +70,7 @@ class ArrayListVisualizer {
             ctx.beginPath();
             ctx.roundRect(x, y, cellSize, cellSize, 8);
 
-            if (i >= this.size) {
+            if (i >= size) {
                 ctx.strokeStyle = '#d1d5db';
                 ctx.setLineDash([4, 4]);
                 ctx.lineWidth = 1.5;
@@ -97,12 +84,12 @@ class ArrayListVisualizer {
                 ctx.stroke();
             }
 
-            if (this.elements[i] !== null) {
+            if (elements[i] !== null) {
                 ctx.fillStyle = 'white';
                 ctx.font = `bold ${cellSize * 0.4}px Inter`;
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'middle';
-                ctx.fillText(this.elements[i], x + cellSize / 2, y + cellSize / 2);
+                ctx.fillText(elements[i], x + cellSize / 2, y + cellSize / 2);
             }
 
             ctx.fillStyle = '#4b5563';
@@ -112,65 +99,55 @@ class ArrayListVisualizer {
         }
     }
 
-    async resize() {
-        this.isAnimating = true;
+    // Records the copy into a doubled backing array as part of the running add
+    recordResize() {
         updateInfo('resize');
-        await sleep(500);
-        
+        this.player.record({}, 500, { text: INFO.resize.status });
+
         let newCapacity = this.capacity * 2;
         if (newCapacity > this.maxCapacity) {
             newCapacity = this.maxCapacity;
         }
 
         const newElements = new Array(newCapacity).fill(null);
-        
+
         for (let i = 0; i < this.size; i++) {
-            statusDisplay.textContent = `Copying element ${this.elements[i]}...`;
             newElements[i] = this.elements[i];
-            this.draw({[i]:'#f59e0b'});
-            await sleep(250);
+            this.player.record({[i]:'#f59e0b'}, 250, { text: `Copying element ${this.elements[i]}...` });
         }
-        
+
         this.elements = newElements;
         this.capacity = newCapacity;
 
-        statusDisplay.textContent = `Resize complete. New capacity is ${this.capacity}.`;
-        this.draw();
-        await sleep(800);
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({}, 800, { text: `Resize complete. New capacity is ${this.capacity}.` });
     }
 
     async add(value) {
-        if (this.isAnimating || !value) return;
-        
+        if (this.player.isBusy || !value) return;
+
         if (this.size === this.maxCapacity) {
             showMessage(`Sorry, we can only store ${this.maxCapacity} elements for now.`, "error");
             return;
         }
-        
+
+        this.player.begin(INFO.add.status);
         if (this.size === this.capacity) {
-            await this.resize();
+            this.recordResize();
         }
-
-        this.isAnimating = true;
         updateInfo('add');
-        
+
         const index = this.size;
         this.elements[index] = value;
         this.size++;
-        
-        this.draw({[index]: '#34d399'});
-        await sleep(600);
-        
-        this.draw();
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({[index]: '#34d399'}, 600);
+
+        await this.player.finish();
     }
-    
+
     async addAtIndex(index, value) {
-        if (this.isAnimating || !value || index < 0 || index > this.size) {
-            if (!this.isAnimating) showMessage("Index out of bounds.", "error");
+        if (this.player.isBusy) return;
+        if (!value || index < 0 || index > this.size) {
+            showMessage("Index out of bounds.", "error");
             return;
         }
 
@@ -179,90 +156,77 @@ class ArrayListVisualizer {
             return;
         }
 
+        this.player.begin(INFO['add-at'].status);
         if (this.size === this.capacity) {
-            await this.resize();
+            this.recordResize();
         }
-        this.isAnimating = true;
         updateInfo('add-at');
-        
+
         for (let i = this.size; i > index; i--) {
             this.elements[i] = this.elements[i-1];
-            this.draw({[i-1]: '#fbbf24', [i]: '#fde68a'});
-            await sleep(200);
+            this.player.record({[i-1]: '#fbbf24', [i]: '#fde68a'}, 200);
         }
-        
+
         this.elements[index] = value;
         this.size++;
-        
-        this.draw({[index]: '#34d399'});
-        await sleep(600);
-        
-        this.draw();
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({[index]: '#34d399'}, 600);
+
+        await this.player.finish();
     }
-    
+
     async remove(index) {
-        if (this.isAnimating || index < 0 || index >= this.size) {
-            if (!this.isAnimating) showMessage("Index out of bounds.", "error");
+        if (this.player.isBusy) return;
+        if (index < 0 || index >= this.size) {
+            showMessage("Index out of bounds.", "error");
             return;
         }
-        this.isAnimating = true;
         updateInfo('remove');
-        
-        this.draw({[index]: '#f87171'});
-        await sleep(400);
+        this.player.begin(INFO.remove.status);
+
+        this.player.record({[index]: '#f87171'});
         this.elements[index] = null;
-        
+
         for(let i = index; i < this.size - 1; i++) {
             this.elements[i] = this.elements[i+1];
-            this.draw({[i]: '#fbbf24', [i+1]: '#fde68a'});
-            await sleep(200);
+            this.player.record({[i]: '#fbbf24', [i+1]: '#fde68a'}, 200);
         }
         this.elements[this.size-1] = null;
         this.size--;
-        
-        this.draw();
-        updateInfo(null);
-        this.isAnimating = false;
+
+        await this.player.finish();
     }
-    
+
     async get(index) {
-        if (this.isAnimating || index < 0 || index >= this.size) {
-            if (!this.isAnimating) showMessage("Index out of bounds.", "error");
+        if (this.player.isBusy) return;
+        if (index < 0 || index >= this.size) {
+            showMessage("Index out of bounds.", "error");
             return;
         }
-        this.isAnimating = true;
         updateInfo('get');
-        this.draw({[index]: '#60a5fa'});
-        showMessage(`Value at index ${index} is ${this.elements[index]}`, 'info');
-        await sleep(1000);
-        this.draw();
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.begin(INFO.get.status);
+        this.player.record({[index]: '#60a5fa'}, 1000, { message: [`Value at index ${index} is ${this.elements[index]}`, 'info'] });
+        await this.player.finish();
     }
-    
+
     async set(index, value) {
-         if (this.isAnimating || !value || index < 0 || index >= this.size) {
-            if (!this.isAnimating) showMessage("Index out of bounds.", "error");
+        if (this.player.isBusy) return;
+        if (!value || index < 0 || index >= this.size) {
+            showMessage("Index out of bounds.", "error");
             return;
         }
-        this.isAnimating = true;
         updateInfo('set');
+        this.player.begin(INFO.set.status);
         this.elements[index] = value;
-        this.draw({[index]: '#34d399'});
-        showMessage(`Set value at index ${index} to ${value}`, 'success');
-        await sleep(1000);
-        this.draw();
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({[index]: '#34d399'}, 1000, { message: [`Set value at index ${index} to ${value}`, 'success'] });
+        await this.player.finish();
     }
 
     clear() {
-        if (this.isAnimating) return;
+        if (this.player.isBusy) return;
         updateInfo('clear');
         this.elements = new Array(this.capacity).fill(null);
         this.size = 0;
+        this.player.clear();
         this.draw();
         showMessage("ArrayList cleared.", "success");
         updateInfo(null);
@@ -270,64 +234,53 @@ class ArrayListVisualizer {
 
     // --- NEW: Bubble Sort implementation ---
     async sort() {
-        if (this.isAnimating || this.size <= 1) return;
-        this.isAnimating = true;
+        if (this.player.isBusy || this.size <= 1) return;
         updateInfo('sort');
+        this.player.begin(INFO.sort.status);
 
         for (let i = 0; i < this.size - 1; i++) {
             for (let j = 0; j < this.size - i - 1; j++) {
                 // Highlight elements being compared
-                this.draw({ [j]: '#fbbf24', [j + 1]: '#fbbf24' });
-                await sleep(300);
+                this.player.record({ [j]: '#fbbf24', [j + 1]: '#fbbf24' }, 300);
 
                 if (parseInt(this.elements[j]) > parseInt(this.elements[j + 1])) {
                     // Highlight elements to be swapped
-                    this.draw({ [j]: '#f87171', [j + 1]: '#f87171' });
-                    await sleep(300);
+                    this.player.record({ [j]: '#f87171', [j + 1]: '#f87171' }, 300);
 
                     [this.elements[j], this.elements[j + 1]] = [this.elements[j + 1], this.elements[j]];
 
                     // Show the result of the swap
-                    this.draw({ [j]: '#34d399', [j + 1]: '#34d399' });
-                    await sleep(300);
+                    this.player.record({ [j]: '#34d399', [j + 1]: '#34d399' }, 300);
                 }
             }
         }
 
-        this.draw();
-        showMessage("Sorting complete.", "success");
-        updateInfo(null);
-        this.isAnimating = false;
+        await this.player.finish({ message: ["Sorting complete.", "success"] });
     }
 
     // --- NEW: Reverse implementation ---
     async reverse() {
-        if (this.isAnimating || this.size <= 1) return;
-        this.isAnimating = true;
+        if (this.player.isBusy || this.size <= 1) return;
         updateInfo('reverse');
+        this.player.begin(INFO.reverse.status);
 
         let left = 0;
         let right = this.size - 1;
 
         while (left < right) {
             // Highlight elements to be swapped
-            this.draw({ [left]: '#8b5cf6', [right]: '#8b5cf6' });
-            await sleep(400);
+            this.player.record({ [left]: '#8b5cf6', [right]: '#8b5cf6' });
 
             [this.elements[left], this.elements[right]] = [this.elements[right], this.elements[left]];
 
             // Show the result of the swap
-            this.draw({ [left]: '#34d399', [right]: '#34d399' });
-            await sleep(400);
+            this.player.record({ [left]: '#34d399', [right]: '#34d399' });
 
             left++;
             right--;
         }
 
-        this.draw();
-        showMessage("Reversing complete.", "success");
-        updateInfo(null);
-        this.isAnimating = false;
+        await this.player.finish({ message: ["Reversing complete.", "success"] });
     }
 
     setupEventListeners() {
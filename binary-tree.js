@@ -2,19 +2,14 @@
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
 const statusDisplay = document.getElementById('status-display');
-const messageBox = document.getElementById('messageBox');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+const containerCanvas = document.getElementById('containerCanvas'); // Side panel for iterative traversals
 
 // --- NODE & TREE CLASSES ---
+let nextNodeId = 0;
+
 class Node {
     constructor(value) {
+        this.id = nextNodeId++; // Shared by a node and its snapshots in recorded frames
         this.value = value;
         this.left = null;
         this.right = null;
@@ -22,6 +17,12 @@ class Node {
         this.y = 0;
         this.radius = 22;
         this.parent = null;
+        this.height = 1; // Only kept up to date in AVL mode
+        this.color = 'red'; // Only used in red-black mode
+    }
+
+    get balanceFactor() {
+        return (this.left ? this.left.height : 0) - (this.right ? this.right.height : 0);
     }
 
     draw(color = '#1e40af', highlightPath = false) {
@@ -48,12 +49,53 @@ class Node {
         ctx.textBaseline = 'middle';
         ctx.fillText(this.value, this.x, this.y);
     }
+
+    drawRing(color) {
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius + 5, 0, 2 * Math.PI);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.stroke();
+    }
+
+    drawNil(side) {
+        const nilX = this.x + side * 16;
+        const nilY = this.y + 40;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(nilX, nilY);
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(nilX - 12, nilY - 7, 24, 14);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 9px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('NIL', nilX, nilY);
+    }
+
+    drawLabel(text, color = '#475569') {
+        ctx.fillStyle = color;
+        ctx.font = 'bold 11px Fira Code';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, this.x + this.radius + 4, this.y - this.radius + 4);
+    }
 }
 
 class BinaryTreeVisualizer {
     constructor() {
         this.root = null;
-        this.isAnimating = false;
+        this.deleteStrategy = 'successor';
+        this.mode = 'bst';
+        this.showNil = false;
+        this.sequenceView = null; // Traversal rows drawn while rebuilding a tree
+        this.iterative = false;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.player = new StepPlayer(this);
         this.setupCanvas();
         this.setupEventListeners();
         window.addEventListener('resize', () => this.setupCanvas());
@@ -65,90 +107,373 @@ class BinaryTreeVisualizer {
         canvas.width = rect.width * dpr;
         canvas.height = rect.height * dpr;
         ctx.scale(dpr, dpr);
-        this.draw();
+        if (this.iterative) this.setupContainerCanvas(); // The side panel resizes with the main canvas
+        this.refresh();
     }
     
     // --- DRAWING & POSITIONING (REWRITTEN) ---
     draw(highlights = new Map()) {
+        this.setPositions();
+        this.render(highlights);
+    }
+
+    // Paints the nodes at their current coordinates without re-running the layout
+    render(highlights = new Map()) {
         const rect = canvas.parentElement.getBoundingClientRect();
         ctx.clearRect(0, 0, rect.width, rect.height);
-        if (!this.root) return;
-        this.setPositions();
+        if (this.sequenceView) this.drawSequences();
+        if (!this.viewRoot()) return;
 
-        const q = [this.root];
-        const nodesToDraw = [];
+        // Nodes live in tree coordinates; pan and zoom are applied on top
+        ctx.save();
+        ctx.translate(this.view.x, this.view.y);
+        ctx.scale(this.view.scale, this.view.scale);
+
+        const nodesToDraw = this.collectNodes(this.viewRoot());
+        if (this.mode === 'rb') {
+            // Fill shows the node colour, so highlights are drawn as a ring around it
+            if (this.showNil) {
+                nodesToDraw.forEach(node => {
+                    if (!node.left) node.drawNil(-1);
+                    if (!node.right) node.drawNil(1);
+                });
+            }
+            nodesToDraw.forEach(node => node.draw(undefined, highlights.get(node) === 'path'));
+            nodesToDraw.forEach(node => {
+                node.draw(node.color === 'red' ? '#dc2626' : '#111827');
+                if (highlights.has(node)) node.drawRing(highlights.get(node));
+            });
+        } else {
+            nodesToDraw.forEach(node => node.draw(undefined, highlights.get(node) === 'path'));
+            nodesToDraw.forEach(node => node.draw(highlights.get(node) || '#1e40af'));
+        }
+
+        if (this.mode === 'avl') {
+            nodesToDraw.forEach(node => {
+                const bf = node.balanceFactor;
+                node.drawLabel(`bf ${bf > 0 ? '+' : ''}${bf}`, Math.abs(bf) > 1 ? '#dc2626' : '#475569');
+            });
+        }
+        ctx.restore();
+    }
+
+    // Two rows of cells along the bottom: the in-order sequence and the pre/post-order one.
+    // Cells keep a readable minimum size, so long sequences wrap onto more lines.
+    drawSequences() {
+        const { inorder, other, otherName, lo, hi, split, rootIdx, used } = this.sequenceView;
+        const rect = canvas.parentElement.getBoundingClientRect();
+        const n = inorder.length;
+        const startX = 100;
+        const cellSize = Math.max(24, Math.min(32, (rect.width - 120) / n - 4));
+        const pitch = cellSize + 4;
+        const perLine = Math.max(1, Math.floor((rect.width - startX - 20) / pitch));
+        const blockHeight = Math.ceil(n / perLine) * pitch;
+
+        const drawRow = (label, values, y, colorFor) => {
+            ctx.fillStyle = '#475569';
+            ctx.font = 'bold 12px Inter';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, startX - 10, y + cellSize / 2);
+            values.forEach((value, i) => {
+                const x = startX + (i % perLine) * pitch;
+                const cellY = y + Math.floor(i / perLine) * pitch;
+                ctx.beginPath();
+                ctx.roundRect(x, cellY, cellSize, cellSize, 4);
+                ctx.fillStyle = colorFor(i);
+                ctx.fill();
+                ctx.fillStyle = '#1e293b';
+                ctx.font = `bold ${cellSize * 0.4}px Inter`;
+                ctx.textAlign = 'center';
+                ctx.fillText(value, x + cellSize / 2, cellY + cellSize / 2);
+            });
+        };
+
+        const y = rect.height - 2 * blockHeight - 22;
+        drawRow('In-order', inorder, y, i => {
+            if (i === split) return '#4ade80';
+            return i >= lo && i <= hi ? '#fde68a' : '#e2e8f0';
+        });
+        drawRow(otherName, other, y + blockHeight + 8, i => {
+            if (i === rootIdx) return '#4ade80';
+            return used.has(i) ? '#cbd5e1' : '#f1f5f9';
+        });
+    }
+
+    // The tree being shown: a recorded snapshot while stepping through frames, else the live tree
+    viewRoot() {
+        const frame = this.player.currentFrame;
+        return frame ? frame.root : this.root;
+    }
+
+    collectNodes(root = this.root) {
+        const nodes = [];
+        if (!root) return nodes;
+        const q = [root];
         while(q.length > 0) {
             const node = q.shift();
-            nodesToDraw.push(node);
+            nodes.push(node);
             if(node.left) q.push(node.left);
             if(node.right) q.push(node.right);
         }
+        return nodes;
+    }
+
+    // Slides every shown node from its position in `from` (keyed by node id) to its laid-out position
+    async animateLayout(from, highlights = new Map(), duration = 500) {
+        const nodes = this.collectNodes(this.viewRoot());
+        const to = new Map(nodes.map(node => [node, { x: node.x, y: node.y }]));
+        const start = node => from.get(node.id) || to.get(node);
 
-        nodesToDraw.forEach(node => node.draw(undefined, highlights.get(node) === 'path'));
-        nodesToDraw.forEach(node => node.draw(highlights.get(node) || '#1e40af'));
+        const frames = 20;
+        for (let f = 1; f <= frames; f++) {
+            const t = f / frames;
+            nodes.forEach(node => {
+                node.x = start(node).x + (to.get(node).x - start(node).x) * t;
+                node.y = start(node).y + (to.get(node).y - start(node).y) * t;
+            });
+            this.render(highlights);
+            await sleep(duration / frames);
+        }
     }
     
-    // --- FIX: This new positioning logic correctly lays out the tree ---
+    // Reingold-Tilford style layout: each subtree is laid out on its own, then its right
+    // sibling is pushed just far enough that their contours never come closer than `minGap`.
     setPositions() {
-        if (!this.root) return;
+        const root = this.viewRoot();
+        if (!root) return;
         const rect = canvas.parentElement.getBoundingClientRect();
-        let x = 0;
-        const xSpacing = 40;
+        const minGap = 50;
         const ySpacing = 70;
 
-        const setNodeCoords = (node, depth) => {
-            if (node.left) {
-                setNodeCoords(node.left, depth + 1);
+        // Returns the leftmost/rightmost x per depth, relative to the subtree root
+        const layout = (node) => {
+            const left = node.left ? layout(node.left) : null;
+            const right = node.right ? layout(node.right) : null;
+            if (!left && !right) return { lc: [0], rc: [0] };
+
+            let shift = minGap;
+            if (left && right) {
+                for (let d = 0; d < Math.min(left.rc.length, right.lc.length); d++) {
+                    shift = Math.max(shift, left.rc[d] - right.lc[d] + minGap);
+                }
+            }
+            // A lone child still sits to its own side so left and right stay distinguishable
+            if (node.left) node.left.dx = -shift / 2;
+            if (node.right) node.right.dx = shift / 2;
+
+            const lc = [0];
+            const rc = [0];
+            const depth = Math.max(left ? left.lc.length : 0, right ? right.lc.length : 0);
+            for (let d = 0; d < depth; d++) {
+                const hasLeft = left && d < left.lc.length;
+                const hasRight = right && d < right.lc.length;
+                lc.push(hasLeft ? left.lc[d] - shift / 2 : right.lc[d] + shift / 2);
+                rc.push(hasRight ? right.rc[d] + shift / 2 : left.rc[d] - shift / 2);
             }
-            node.x = x * xSpacing + xSpacing;
+            return { lc, rc };
+        };
+
+        const place = (node, x, depth, parent) => {
+            node.parent = parent;
+            node.x = x;
             node.y = depth * ySpacing + 50;
-            x++;
-            if (node.right) {
-                setNodeCoords(node.right, depth + 1);
-            }
+            if (node.left) place(node.left, x + node.left.dx, depth + 1, node);
+            if (node.right) place(node.right, x + node.right.dx, depth + 1, node);
         };
 
-        const assignParents = (node) => {
-            if (node.left) {
-                node.left.parent = node;
-                assignParents(node.left);
+        const { lc, rc } = layout(root);
+        const minX = Math.min(...lc);
+        const maxX = Math.max(...rc);
+        // Center the tree
+        place(root, rect.width / 2 - (minX + maxX) / 2, 0, null);
+    }
+
+    // --- PAN & ZOOM ---
+    toTreeCoords(screenX, screenY) {
+        return { x: (screenX - this.view.x) / this.view.scale, y: (screenY - this.view.y) / this.view.scale };
+    }
+
+    zoomAt(screenX, screenY, factor) {
+        const scale = Math.min(4, Math.max(0.1, this.view.scale * factor));
+        const point = this.toTreeCoords(screenX, screenY);
+        this.view.scale = scale;
+        this.view.x = screenX - point.x * scale;
+        this.view.y = screenY - point.y * scale;
+        this.refresh();
+    }
+
+    fitToView() {
+        this.setPositions();
+        const nodes = this.collectNodes(this.viewRoot());
+        if (nodes.length === 0) {
+            this.view = { scale: 1, x: 0, y: 0 };
+            this.refresh();
+            return;
+        }
+        const rect = canvas.parentElement.getBoundingClientRect();
+        const margin = 30;
+        const minX = Math.min(...nodes.map(n => n.x)) - margin;
+        const maxX = Math.max(...nodes.map(n => n.x)) + margin;
+        const minY = Math.min(...nodes.map(n => n.y)) - margin;
+        const maxY = Math.max(...nodes.map(n => n.y)) + margin;
+
+        const scale = Math.min(1.5, rect.width / (maxX - minX), rect.height / (maxY - minY));
+        this.view.scale = scale;
+        this.view.x = (rect.width - (minX + maxX) * scale) / 2;
+        this.view.y = (rect.height - (minY + maxY) * scale) / 2;
+        this.refresh();
+    }
+
+    setupViewControls() {
+        let drag = null;
+        canvas.style.cursor = 'grab';
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
+
+        canvas.addEventListener('mousedown', (e) => {
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.style.cursor = 'grabbing';
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!drag) return;
+            this.view.x += e.clientX - drag.x;
+            this.view.y += e.clientY - drag.y;
+            drag = { x: e.clientX, y: e.clientY };
+            this.refresh();
+        });
+        window.addEventListener('mouseup', () => {
+            drag = null;
+            canvas.style.cursor = 'grab';
+        });
+    }
+
+    // Builds a large BST instantly from random distinct keys
+    bulkInsert(count) {
+        if (this.player.isBusy) return;
+        if (this.mode !== 'bst') {
+            showMessage('Bulk insert is only available in BST mode.', 'error');
+            return;
+        }
+        if (!this.requireSearchTree()) return;
+        if (isNaN(count) || count < 1 || count > 500) {
+            showMessage('Please enter a count between 1 and 500.', 'error');
+            return;
+        }
+
+        this.player.clear();
+        const existing = new Set(this.collectNodes().map(node => node.value));
+        let added = 0;
+        while (added < count) {
+            const value = Math.floor(Math.random() * (count + existing.size) * 5) + 1;
+            if (existing.has(value)) continue;
+            existing.add(value);
+            added++;
+
+            const newNode = new Node(value);
+            if (!this.root) {
+                this.root = newNode;
+                continue;
             }
-            if (node.right) {
-                node.right.parent = node;
-                assignParents(node.right);
+            let current = this.root;
+            while (true) {
+                const side = value < current.value ? 'left' : 'right';
+                if (!current[side]) { current[side] = newNode; break; }
+                current = current[side];
             }
-        };
+            newNode.parent = current;
+        }
+        this.fitToView();
+        showMessage(`Inserted ${count} random keys.`, 'success');
+    }
 
-        // This ensures parent links are correct before drawing
-        if (this.root) {
-            this.root.parent = null;
-            assignParents(this.root);
+    // --- STEP PLAYER HOOKS ---
+    // Operations run instantly on the live tree while the shared player records frames (a tree
+    // snapshot plus highlights and a caption), then shows those frames and can pause or rewind.
+    // Consecutive frames share one snapshot until the tree changes, so a traversal of a large
+    // tree copies it once rather than once per step; highlights are stored by node id.
+    cloneTree(node, parent, byId) {
+        if (!node) return null;
+        const copy = new Node(node.value);
+        copy.id = node.id;
+        copy.color = node.color;
+        copy.height = node.height;
+        copy.parent = parent;
+        byId.set(node.id, copy);
+        copy.left = this.cloneTree(node.left, copy, byId);
+        copy.right = this.cloneTree(node.right, copy, byId);
+        return copy;
+    }
+
+    // True when the live tree still matches a snapshot: same nodes, values, colours, heights and links
+    matchesSnapshot(root, snapshotRoot) {
+        const stack = [[root, snapshotRoot]];
+        while (stack.length > 0) {
+            const [node, copy] = stack.pop();
+            if (!node || !copy) {
+                if (node !== copy) return false;
+                continue;
+            }
+            if (node.id !== copy.id || node.value !== copy.value || node.color !== copy.color || node.height !== copy.height) return false;
+            stack.push([node.left, copy.left], [node.right, copy.right]);
         }
-        
-        setNodeCoords(this.root, 0);
-        
-        // Center the tree
-        const nodes = [];
-        const q = [this.root];
-        let minX = this.root.x, maxX = this.root.x;
-        while(q.length > 0) {
-            const node = q.shift();
-            nodes.push(node);
-            minX = Math.min(minX, node.x);
-            maxX = Math.max(maxX, node.x);
-            if(node.left) q.push(node.left);
-            if(node.right) q.push(node.right);
+        return true;
+    }
+
+    // Frame extras: tween (slide nodes from the previous frame), container, sequenceView
+    captureFrame(highlights = new Map()) {
+        const previous = this.player.frames[this.player.frames.length - 1];
+        let snapshot = previous ? previous.snapshot : null;
+        if (!snapshot || !this.matchesSnapshot(this.root, snapshot.root)) {
+            const byId = new Map();
+            snapshot = { root: this.cloneTree(this.root, null, byId), byId };
         }
-        const treeWidth = maxX - minX;
-        const offset = (rect.width - treeWidth) / 2 - minX;
-        nodes.forEach(node => node.x += offset);
+        const highlightIds = new Map();
+        highlights.forEach((color, node) => highlightIds.set(node.id, color));
+        return { snapshot, root: snapshot.root, highlightIds };
     }
-    
+
+    // Maps a frame's highlights from node ids onto the nodes of its snapshot
+    frameHighlights(frame) {
+        const highlights = new Map();
+        frame.highlightIds.forEach((color, id) => {
+            if (frame.snapshot.byId.has(id)) highlights.set(frame.snapshot.byId.get(id), color);
+        });
+        return highlights;
+    }
+
+    async renderFrame(frame, animate) {
+        const previous = this.player.frames[this.player.index - 1];
+        const highlights = this.frameHighlights(frame);
+        this.sequenceView = frame.sequenceView || null;
+
+        this.setPositions();
+        if (animate && frame.tween && previous && previous.root !== frame.root) {
+            const from = new Map(this.collectNodes(previous.root).map(node => [node.id, { x: node.x, y: node.y }]));
+            await this.animateLayout(from, highlights, 500 / this.player.speed);
+        } else {
+            this.render(highlights);
+        }
+        if (this.iterative) {
+            const container = frame.container || { kind: null, items: [], highlights: {} };
+            this.drawContainer(container.kind, container.items, container.highlights);
+        }
+    }
+
+    // Redraws whatever is on screen: the current frame, or the live tree when nothing was recorded
+    refresh() {
+        this.player.refresh();
+    }
+
     // --- CORE OPERATIONS (BST LOGIC) ---
     async insert(value) {
-        if (this.isAnimating) return;
-        this.isAnimating = true;
-        statusDisplay.textContent = `Inserting ${value}...`;
+        if (this.player.isBusy) return;
+        if (!this.requireSearchTree()) return;
+        this.player.begin(`Inserting ${value}...`);
         
         const newNode = new Node(value);
         if (!this.root) {
@@ -156,8 +481,7 @@ class BinaryTreeVisualizer {
         } else {
             let current = this.root;
             while (true) {
-                this.draw(new Map([[current, '#f59e0b']]));
-                await sleep(400);
+                this.player.record(new Map([[current, '#f59e0b']]), 400);
                 if (value < current.value) {
                     if (!current.left) { current.left = newNode; break; }
                     current = current.left;
@@ -166,109 +490,811 @@ class BinaryTreeVisualizer {
                     current = current.right;
                 } else {
                     // Value already exists
-                    this.isAnimating = false;
-                    this.draw();
-                    showMessage(`Value ${value} already exists in the tree.`, 'error');
+                    await this.player.finish({ message: [`Value ${value} already exists in the tree.`, 'error'] });
                     return;
                 }
             }
+            newNode.parent = current;
         }
-        this.draw(new Map([[newNode, '#16a34a']]));
-        await sleep(600);
-        this.draw();
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        this.player.record(new Map([[newNode, '#16a34a']]), 600);
+        if (this.mode === 'avl') this.rebalanceFrom(newNode.parent);
+        if (this.mode === 'rb') this.fixRedBlackInsert(newNode);
+        await this.player.finish();
     }
 
     async search(value) {
-        if (this.isAnimating || !this.root) return;
-        this.isAnimating = true;
-        statusDisplay.textContent = `Searching for ${value}...`;
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        this.player.begin(`Searching for ${value}...`);
 
         let current = this.root;
         while (current) {
-            this.draw(new Map([[current, '#f59e0b']]));
-            await sleep(500);
+            this.player.record(new Map([[current, '#f59e0b']]), 500);
             if (current.value === value) {
-                this.draw(new Map([[current, '#16a34a']]));
-                showMessage(`Found ${value}!`, 'success');
-                statusDisplay.textContent = 'Ready.';
-                this.isAnimating = false;
+                this.player.describe(`Found ${value}!`);
+                this.player.record(new Map([[current, '#16a34a']]), 1000, { message: [`Found ${value}!`, 'success'] });
+                await this.player.finish();
                 return;
             }
             current = value < current.value ? current.left : current.right;
         }
-        showMessage(`${value} not found.`, 'error');
-        this.draw();
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        await this.player.finish({ message: [`${value} not found.`, 'error'] });
     }
     
     async delete(value) {
-         showMessage("Delete is a complex operation and not implemented in this visualizer.", "info");
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        this.player.begin(`Deleting ${value}...`);
+
+        // Walk down to the node, same as search
+        let current = this.root;
+        while (current && current.value !== value) {
+            this.player.record(new Map([[current, '#f59e0b']]), 400);
+            current = value < current.value ? current.left : current.right;
+        }
+        if (!current) {
+            await this.player.finish({ message: [`${value} not found.`, 'error'] });
+            return;
+        }
+
+        this.player.record(new Map([[current, '#ef4444']]), 600);
+
+        // Two children: copy the in-order successor (or predecessor) up, then remove that node instead
+        if (current.left && current.right) {
+            const useSuccessor = this.deleteStrategy === 'successor';
+            const label = useSuccessor ? 'successor' : 'predecessor';
+            this.player.describe(`Two children: finding in-order ${label} of ${value}...`);
+
+            const highlights = new Map([[current, '#ef4444']]);
+            let replacement = useSuccessor ? current.right : current.left;
+            while (useSuccessor ? replacement.left : replacement.right) {
+                highlights.set(replacement, '#f59e0b');
+                this.player.record(highlights, 400);
+                highlights.delete(replacement);
+                replacement = useSuccessor ? replacement.left : replacement.right;
+            }
+            highlights.set(replacement, '#16a34a');
+            this.player.describe(`In-order ${label} is ${replacement.value}.`);
+            this.player.record(highlights, 600);
+
+            current.value = replacement.value;
+            this.player.describe(`Copying ${replacement.value} into the deleted node...`);
+            this.player.record(new Map([[current, '#16a34a'], [replacement, '#ef4444']]), 800);
+
+            this.player.describe(`Removing the old ${label} node ${replacement.value}...`);
+            current = replacement;
+        } else {
+            const kind = (current.left || current.right) ? 'one child' : 'leaf';
+            this.player.describe(`Deleting ${value} (${kind})...`);
+            this.player.record(new Map([[current, '#ef4444']]), 400);
+        }
+
+        // At most one child left: splice the node out by linking its parent to that child
+        const child = current.left || current.right;
+        const parent = current.parent;
+        this.replaceChild(parent, current, child);
+        this.player.record(child ? new Map([[child, '#16a34a']]) : new Map(), 600, { tween: true });
+        if (this.mode === 'avl') this.rebalanceFrom(parent);
+        if (this.mode === 'rb' && current.color === 'black') this.fixRedBlackDelete(child, parent);
+
+        await this.player.finish({ message: [`Deleted ${value}.`, 'success'] });
+    }
+
+    replaceChild(parent, oldChild, newChild) {
+        if (!parent) this.root = newChild;
+        else if (parent.left === oldChild) parent.left = newChild;
+        else parent.right = newChild;
+        if (newChild) newChild.parent = parent;
+    }
+
+    // --- AVL BALANCING ---
+    updateHeight(node) {
+        node.height = Math.max(node.left ? node.left.height : 0, node.right ? node.right.height : 0) + 1;
+    }
+
+    // Walks from `node` up to the root, refreshing heights and rotating wherever |bf| > 1
+    rebalanceFrom(node) {
+        while (node) {
+            this.updateHeight(node);
+            const bf = node.balanceFactor;
+            this.player.describe(`Updating height of ${node.value}: h = ${node.height}, bf = ${bf}`);
+            this.player.record(new Map([[node, Math.abs(bf) > 1 ? '#ef4444' : '#f59e0b']]), 400);
+
+            if (bf > 1) {
+                if (node.left.balanceFactor >= 0) {
+                    this.showImbalance(node, 'LL');
+                    node = this.rotateRight(node);
+                } else {
+                    this.showImbalance(node, 'LR');
+                    this.rotateLeft(node.left);
+                    node = this.rotateRight(node);
+                }
+            } else if (bf < -1) {
+                if (node.right.balanceFactor <= 0) {
+                    this.showImbalance(node, 'RR');
+                    node = this.rotateLeft(node);
+                } else {
+                    this.showImbalance(node, 'RL');
+                    this.rotateRight(node.right);
+                    node = this.rotateLeft(node);
+                }
+            }
+            node = node.parent;
+        }
+    }
+
+    showImbalance(node, kind) {
+        let fix;
+        if (kind === 'LL') fix = 'rotate right';
+        else if (kind === 'RR') fix = 'rotate left';
+        else if (kind === 'LR') fix = `rotate left at ${node.left.value}, then right`;
+        else fix = `rotate right at ${node.right.value}, then left`;
+        this.player.describe(`${node.value} is out of balance (bf = ${node.balanceFactor}): ${kind} case, ${fix}.`);
+        this.player.record(new Map([[node, '#ef4444']]), 1000, { message: [`${kind} imbalance at ${node.value}`, 'error'] });
+    }
+
+    rotateRight(node) {
+        const pivot = node.left;
+        const moved = pivot.right;
+        this.player.describe(`Rotate right at ${node.value}: ${pivot.value} moves up, ` +
+            (moved ? `${moved.value} becomes ${node.value}.left` : `${node.value}.left becomes null`));
+        const highlights = new Map([[node, '#ef4444'], [pivot, '#f59e0b']]);
+        if (moved) highlights.set(moved, '#a855f7');
+        this.player.record(highlights, 800);
+
+        this.replaceChild(node.parent, node, pivot);
+        node.left = moved;
+        if (moved) moved.parent = node;
+        pivot.right = node;
+        node.parent = pivot;
+        this.updateHeight(node);
+        this.updateHeight(pivot);
+        this.player.record(highlights, 600, { tween: true });
+        return pivot;
+    }
+
+    rotateLeft(node) {
+        const pivot = node.right;
+        const moved = pivot.left;
+        this.player.describe(`Rotate left at ${node.value}: ${pivot.value} moves up, ` +
+            (moved ? `${moved.value} becomes ${node.value}.right` : `${node.value}.right becomes null`));
+        const highlights = new Map([[node, '#ef4444'], [pivot, '#f59e0b']]);
+        if (moved) highlights.set(moved, '#a855f7');
+        this.player.record(highlights, 800);
+
+        this.replaceChild(node.parent, node, pivot);
+        node.right = moved;
+        if (moved) moved.parent = node;
+        pivot.left = node;
+        node.parent = pivot;
+        this.updateHeight(node);
+        this.updateHeight(pivot);
+        this.player.record(highlights, 600, { tween: true });
+        return pivot;
+    }
+
+    // --- RED-BLACK BALANCING ---
+    fixRedBlackInsert(node) {
+        while (node !== this.root && node.parent.color === 'red') {
+            const parent = node.parent;
+            const grand = parent.parent;
+            const parentIsLeft = grand.left === parent;
+            const uncle = parentIsLeft ? grand.right : grand.left;
+
+            this.player.describe(`Red-red violation: ${node.value} and its parent ${parent.value} are both red.`);
+            const highlights = new Map([[node, '#f59e0b'], [parent, '#f59e0b'], [grand, '#3b82f6']]);
+            if (uncle) highlights.set(uncle, '#a855f7');
+            this.player.record(highlights, 1000);
+
+            if (uncle && uncle.color === 'red') {
+                this.player.describe(`Uncle ${uncle.value} is red: recolor ${parent.value} and ${uncle.value} black, ${grand.value} red.`);
+                parent.color = 'black';
+                uncle.color = 'black';
+                grand.color = 'red';
+                this.player.record(highlights, 1000);
+                node = grand;
+                continue;
+            }
+
+            const uncleText = uncle ? `Uncle ${uncle.value} is black` : 'Uncle is NIL (black)';
+            let top = parent;
+            // Triangle: rotate the parent first so the violation becomes a straight line
+            if (parentIsLeft && node === parent.right) {
+                this.player.describe(`${uncleText} and ${node.value} is an inner child: rotate left at ${parent.value}.`);
+                this.player.record(highlights, 1000);
+                top = this.rotateLeft(parent);
+            } else if (!parentIsLeft && node === parent.left) {
+                this.player.describe(`${uncleText} and ${node.value} is an inner child: rotate right at ${parent.value}.`);
+                this.player.record(highlights, 1000);
+                top = this.rotateRight(parent);
+            }
+
+            this.player.describe(`${uncleText}: rotate ${parentIsLeft ? 'right' : 'left'} at ${grand.value} and swap colors.`);
+            this.player.record(new Map([[top, '#f59e0b'], [grand, '#3b82f6']]), 1000);
+            if (parentIsLeft) this.rotateRight(grand);
+            else this.rotateLeft(grand);
+            top.color = 'black';
+            grand.color = 'red';
+            this.player.record(new Map([[top, '#16a34a'], [grand, '#16a34a']]), 1000);
+            break;
+        }
+
+        if (this.root.color === 'red') {
+            this.player.describe(`The root must be black: recolor ${this.root.value}.`);
+            this.root.color = 'black';
+            this.player.record(new Map([[this.root, '#16a34a']]), 800);
+        }
+    }
+
+    // Removing a black node leaves its path one black short. `node` (possibly NIL) carries the
+    // extra black up the tree until a red node absorbs it or a rotation at the sibling repays it.
+    fixRedBlackDelete(node, parent) {
+        const isBlack = n => !n || n.color === 'black';
+        while (node !== this.root && isBlack(node)) {
+            // A NIL node is told apart by its sibling: the far side of a removed black leaf is never empty
+            const isLeft = node === parent.left;
+            const rotateToward = n => (isLeft ? this.rotateLeft(n) : this.rotateRight(n));
+            const rotateAway = n => (isLeft ? this.rotateRight(n) : this.rotateLeft(n));
+            const name = node ? node.value : 'NIL';
+            let sibling = isLeft ? parent.right : parent.left;
+
+            this.player.describe(`${name} is double black; its sibling is ${sibling.value}.`);
+            const highlights = new Map([[parent, '#3b82f6'], [sibling, '#a855f7']]);
+            if (node) highlights.set(node, '#f59e0b');
+            this.player.record(highlights, 1000);
+
+            if (sibling.color === 'red') {
+                this.player.describe(`Sibling ${sibling.value} is red: recolor it black, ${parent.value} red, and rotate at ${parent.value}.`);
+                sibling.color = 'black';
+                parent.color = 'red';
+                this.player.record(highlights, 800);
+                rotateToward(parent);
+                sibling = isLeft ? parent.right : parent.left;
+            }
+
+            const near = isLeft ? sibling.left : sibling.right;
+            const far = isLeft ? sibling.right : sibling.left;
+            if (isBlack(near) && isBlack(far)) {
+                this.player.describe(`Sibling ${sibling.value} has two black children: recolor it red and move the double black up to ${parent.value}.`);
+                sibling.color = 'red';
+                this.player.record(new Map([[parent, '#f59e0b'], [sibling, '#16a34a']]), 1000);
+                node = parent;
+                parent = node.parent;
+                continue;
+            }
+
+            if (isBlack(far)) {
+                this.player.describe(`Sibling's near child ${near.value} is red: swap colors with ${sibling.value} and rotate at ${sibling.value}.`);
+                near.color = 'black';
+                sibling.color = 'red';
+                this.player.record(new Map([[near, '#f59e0b'], [sibling, '#a855f7']]), 800);
+                rotateAway(sibling);
+                sibling = isLeft ? parent.right : parent.left;
+            }
+
+            const farChild = isLeft ? sibling.right : sibling.left;
+            this.player.describe(`Sibling's far child ${farChild.value} is red: rotate at ${parent.value} and recolor to finish.`);
+            this.player.record(new Map([[parent, '#3b82f6'], [sibling, '#a855f7'], [farChild, '#f59e0b']]), 1000);
+            sibling.color = parent.color;
+            parent.color = 'black';
+            farChild.color = 'black';
+            rotateToward(parent);
+            this.player.record(new Map([[sibling, '#16a34a']]), 800);
+            node = this.root;
+        }
+
+        if (node && node.color === 'red') {
+            this.player.describe(`${node.value} is red: recolor it black to restore the black height.`);
+            node.color = 'black';
+            this.player.record(new Map([[node, '#16a34a']]), 800);
+        }
+    }
+
+    setMode(mode) {
+        if (this.player.isBusy) return false;
+        this.mode = mode;
+        this.player.clear();
+        if (this.root) {
+            this.root = null;
+            showMessage('Tree cleared for the new mode.', 'info');
+        }
+        this.draw();
+        statusDisplay.textContent = 'Ready. Insert a node to begin.';
+        return true;
+    }
+
+    // Trees rebuilt from traversals can have any shape, so they may break the BST ordering
+    isSearchTree(node = this.root, lo = -Infinity, hi = Infinity) {
+        if (!node) return true;
+        if (node.value <= lo || node.value >= hi) return false;
+        return this.isSearchTree(node.left, lo, node.value) && this.isSearchTree(node.right, node.value, hi);
+    }
+
+    requireSearchTree() {
+        if (this.isSearchTree()) return true;
+        showMessage('This tree is not a BST, so insert, search and delete are unavailable.', 'error');
+        return false;
+    }
+
+    // --- BUILD FROM TRAVERSALS ---
+    async buildFromTraversals(inorder, other, otherOrder) {
+        if (this.player.isBusy) return;
+        if (inorder.length === 0 || inorder.length !== other.length) {
+            showMessage('Both sequences must be non-empty and the same length.', 'error');
+            return;
+        }
+        if (new Set(inorder).size !== inorder.length) {
+            showMessage('Values must be distinct to rebuild a unique tree.', 'error');
+            return;
+        }
+        if ([...other].sort((a, b) => a - b).join() !== [...inorder].sort((a, b) => a - b).join()) {
+            showMessage('Both sequences must contain the same values.', 'error');
+            return;
+        }
+        this.mode = 'bst';
+        document.getElementById('tree-mode-select').value = 'bst';
+        this.root = null;
+        this.player.begin('Rebuilding tree...');
+
+        const isPre = otherOrder === 'pre';
+        const otherName = isPre ? 'Pre-order' : 'Post-order';
+        const used = new Set();
+        // Pre-order yields roots front to back; post-order yields them back to front, right subtree first
+        let next = isPre ? 0 : other.length - 1;
+
+        const build = (lo, hi, parent, side) => {
+            if (lo > hi) return true;
+            const rootIdx = next;
+            next += isPre ? 1 : -1;
+            const value = other[rootIdx];
+            used.add(rootIdx);
+
+            let split = -1;
+            for (let i = lo; i <= hi; i++) if (inorder[i] === value) split = i;
+            const sequenceView = { inorder, other, otherName, lo, hi, split, rootIdx, used: new Set(used) };
+            if (split === -1) {
+                this.player.describe(`${value} is not inside in-order range [${lo}..${hi}].`);
+                this.player.record(new Map(), 2000, {
+                    sequenceView,
+                    message: [`${value} is not inside in-order range [${lo}..${hi}]: the sequences don't match.`, 'error'],
+                });
+                return false;
+            }
+
+            const node = new Node(value);
+            node.parent = parent;
+            if (!parent) this.root = node;
+            else parent[side] = node;
+            this.player.describe(`${otherName}[${rootIdx}] = ${value} is the root of in-order [${lo}..${hi}]; split at index ${split}`);
+            this.player.record(new Map([[node, '#16a34a']]), 1000, { sequenceView });
+
+            if (isPre) {
+                return build(lo, split - 1, node, 'left') && build(split + 1, hi, node, 'right');
+            }
+            return build(split + 1, hi, node, 'right') && build(lo, split - 1, node, 'left');
+        };
+
+        const ok = build(0, inorder.length - 1, null, null);
+        if (!ok) this.root = null;
+        await this.player.finish(ok ? { message: ['Tree rebuilt from traversals.', 'success'] } : {});
+    }
+
+    // --- LEVEL-ORDER IMPORT / EXPORT ---
+    // Parses "[1,2,null,3]" into an array of numbers and nulls; returns null if malformed
+    parseLevelOrder(text) {
+        const body = text.trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+        if (body === '') return [];
+        const values = body.split(',').map(token => {
+            token = token.trim();
+            if (token === 'null') return null;
+            return token === '' ? NaN : Number(token);
+        });
+        return values.some(value => value !== null && isNaN(value)) ? null : values;
+    }
+
+    async importLevelOrder(text) {
+        if (this.player.isBusy) return;
+        const values = this.parseLevelOrder(text);
+        if (!values) {
+            showMessage('Use the level-order format, e.g. [1,2,null,3].', 'error');
+            return;
+        }
+        if (values.length > 0 && values[0] === null) {
+            showMessage('The root cannot be null.', 'error');
+            return;
+        }
+        this.mode = 'bst';
+        document.getElementById('tree-mode-select').value = 'bst';
+        this.root = null;
+        this.player.begin('Importing level-order array...');
+
+        // Same scheme as coding-practice sites: each queued node takes the next two entries as its children
+        if (values.length > 0) {
+            this.root = new Node(values[0]);
+            this.player.record(new Map([[this.root, '#16a34a']]), 250);
+        }
+        const q = this.root ? [this.root] : [];
+        let i = 1;
+        while (q.length > 0 && i < values.length) {
+            const node = q.shift();
+            for (const side of ['left', 'right']) {
+                if (i >= values.length) break;
+                const value = values[i++];
+                if (value === null) continue;
+                node[side] = new Node(value);
+                node[side].parent = node;
+                q.push(node[side]);
+                this.player.record(new Map([[node, '#f59e0b'], [node[side], '#16a34a']]), 250);
+            }
+        }
+
+        await this.player.finish({ message: ['Tree imported.', 'success'] });
+    }
+
+    toLevelOrder() {
+        const values = [];
+        const q = [this.root];
+        while (q.length > 0) {
+            const node = q.shift();
+            if (!node) {
+                values.push('null');
+                continue;
+            }
+            values.push(node.value);
+            q.push(node.left, node.right);
+        }
+        while (values[values.length - 1] === 'null') values.pop();
+        return `[${values.join(',')}]`;
+    }
+
+    async exportLevelOrder(input) {
+        const text = this.toLevelOrder();
+        input.value = text;
+        try {
+            await navigator.clipboard.writeText(text);
+            showMessage(`Copied ${text} to the clipboard.`, 'success');
+        } catch (e) {
+            input.select();
+            showMessage('Clipboard unavailable: the array is in the text box instead.', 'info');
+        }
+    }
+
+    // --- BST QUERIES ---
+    findNode(value) {
+        let current = this.root;
+        while (current && current.value !== value) {
+            current = value < current.value ? current.left : current.right;
+        }
+        return current;
+    }
+
+    async lowestCommonAncestor(a, b) {
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        const nodeA = this.findNode(a);
+        const nodeB = this.findNode(b);
+        if (!nodeA || !nodeB) {
+            showMessage(`${!nodeA ? a : b} is not in the tree.`, 'error');
+            return;
+        }
+        this.player.begin(`Finding LCA of ${a} and ${b}...`);
+
+        // The LCA is the first node where the two values stop going the same way
+        let current = this.root;
+        while (true) {
+            this.player.record(new Map([[nodeA, '#a855f7'], [nodeB, '#a855f7'], [current, '#f59e0b']]), 500);
+            if (a < current.value && b < current.value) {
+                this.player.describe(`${a} and ${b} are both smaller than ${current.value}: go left`);
+                current = current.left;
+            } else if (a > current.value && b > current.value) {
+                this.player.describe(`${a} and ${b} are both larger than ${current.value}: go right`);
+                current = current.right;
+            } else {
+                break;
+            }
+        }
+
+        this.player.describe(`${a} and ${b} split at ${current.value}.`);
+        this.player.record(new Map([[nodeA, '#a855f7'], [nodeB, '#a855f7'], [current, '#16a34a']]), 1500, {
+            message: [`LCA of ${a} and ${b} is ${current.value}.`, 'success'],
+        });
+        await this.player.finish();
+    }
+
+    // In-order visits keys smallest first; reverse in-order visits them largest first
+    async kthElement(k, largest = false) {
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        const size = this.collectNodes().length;
+        if (k < 1 || k > size) {
+            showMessage(`k must be between 1 and ${size}.`, 'error');
+            return;
+        }
+        const label = largest ? 'largest' : 'smallest';
+        this.player.begin(`Finding the ${ordinal(k)} ${label} key...`);
+        const highlights = new Map();
+        let count = 0;
+        let result = null;
+
+        const walk = (node) => {
+            if (!node || result) return;
+            walk(largest ? node.right : node.left);
+            if (result) return;
+            count++;
+            highlights.set(node, '#f59e0b');
+            this.player.describe(`${ordinal(count)} ${label}: ${node.value}`);
+            this.player.record(highlights, 500);
+            if (count === k) {
+                result = node;
+                return;
+            }
+            highlights.set(node, '#cbd5e1');
+            walk(largest ? node.left : node.right);
+        };
+
+        walk(this.root);
+        highlights.set(result, '#16a34a');
+        this.player.record(highlights, 1500, { message: [`The ${ordinal(k)} ${label} key is ${result.value}.`, 'success'] });
+        await this.player.finish();
+    }
+
+    // Floor: largest key <= value. Ceiling: smallest key >= value.
+    async floorCeiling(value, ceiling = false) {
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        const label = ceiling ? 'Ceiling' : 'Floor';
+        this.player.begin(`${label} of ${value}...`);
+
+        let candidate = null;
+        let current = this.root;
+        while (current) {
+            const highlights = new Map([[current, '#f59e0b']]);
+            if (candidate) highlights.set(candidate, '#a855f7');
+            this.player.record(highlights, 500);
+
+            if (current.value === value) {
+                candidate = current;
+                break;
+            }
+            const fits = ceiling ? current.value > value : current.value < value;
+            if (fits) {
+                candidate = current;
+                this.player.describe(`${current.value} is a ${label.toLowerCase()} candidate; look ${ceiling ? 'left' : 'right'} for a closer one`);
+                current = ceiling ? current.left : current.right;
+            } else {
+                this.player.describe(`${current.value} is too ${ceiling ? 'small' : 'large'}: go ${ceiling ? 'right' : 'left'}`);
+                current = ceiling ? current.right : current.left;
+            }
+        }
+
+        if (candidate) {
+            this.player.record(new Map([[candidate, '#16a34a']]), 1500, { message: [`${label} of ${value} is ${candidate.value}.`, 'success'] });
+        } else {
+            this.player.record(new Map(), 1500, { message: [`${value} has no ${label.toLowerCase()} in the tree.`, 'error'] });
+        }
+        await this.player.finish();
+    }
+
+    async rangeQuery(lo, hi) {
+        if (this.player.isBusy || !this.root) return;
+        if (!this.requireSearchTree()) return;
+        if (lo > hi) [lo, hi] = [hi, lo];
+        this.player.begin(`Keys in [${lo}, ${hi}]: ...`);
+
+        const highlights = new Map();
+        const found = [];
+        const prune = (node) => {
+            if (!node) return;
+            highlights.set(node, '#cbd5e1');
+            prune(node.left);
+            prune(node.right);
+        };
+
+        const walk = (node) => {
+            if (!node) return;
+            highlights.set(node, '#f59e0b');
+            this.player.record(highlights, 500);
+
+            // Skip a whole subtree when every key in it is outside the range
+            if (node.value > lo) walk(node.left);
+            else if (node.left) {
+                prune(node.left);
+                this.player.describe(`${node.value} <= ${lo}: pruning its left subtree`);
+                this.player.record(highlights, 600);
+            }
+
+            const inRange = node.value >= lo && node.value <= hi;
+            if (inRange) found.push(node.value);
+            highlights.set(node, inRange ? '#16a34a' : '#94a3b8');
+            this.player.describe(`Keys in [${lo}, ${hi}]: ${found.join(', ')}`);
+            this.player.record(highlights, 300);
+
+            if (node.value < hi) walk(node.right);
+            else if (node.right) {
+                prune(node.right);
+                this.player.describe(`${node.value} >= ${hi}: pruning its right subtree`);
+                this.player.record(highlights, 600);
+            }
+        };
+
+        walk(this.root);
+        this.player.describe(`Keys in [${lo}, ${hi}]: ${found.join(', ') || 'none'}`);
+        this.player.record(highlights, 2000, { message: [`Found ${found.length} key${found.length === 1 ? '' : 's'} in [${lo}, ${hi}].`, 'success'] });
+        await this.player.finish();
     }
 
     // --- TRAVERSALS & PROPERTIES ---
     async traverse(order) {
-        if(this.isAnimating || !this.root) return;
-        this.isAnimating = true;
+        if(this.player.isBusy || !this.root) return;
         
         const traversalOrder = [];
         const highlights = new Map();
-        statusDisplay.textContent = `${order} traversal: ...`;
+        this.player.begin(`${order} traversal: ...`);
+
+        // --- Iterative versions: the explicit stack/queue is drawn in the side panel ---
+        const kind = order === 'BFS' ? 'Queue' : 'Stack';
+        const container = [];
+        let containerView;
+        const snapshotContainer = (flash = {}) => {
+            containerView = { kind, items: container.map(n => n.value), highlights: flash };
+        };
+        if (this.iterative) snapshotContainer();
         
-        const visit = async (node) => {
+        const visit = (node) => {
             highlights.set(node, '#f59e0b');
-            this.draw(highlights);
-            await sleep(400);
+            this.player.record(highlights, 400, { container: containerView });
             traversalOrder.push(node.value);
-            statusDisplay.textContent = `${order} traversal: ${traversalOrder.join(' -> ')}`;
+            this.player.describe(`${order} traversal: ${traversalOrder.join(' -> ')}`);
             highlights.set(node, '#16a34a');
-            this.draw(highlights);
-            await sleep(200);
+            this.player.record(highlights, 200, { container: containerView });
         };
         
-        const inOrder = async (node) => { if (node) { await inOrder(node.left); await visit(node); await inOrder(node.right); }};
-        const preOrder = async (node) => { if (node) { await visit(node); await preOrder(node.left); await preOrder(node.right); }};
-        const postOrder = async (node) => { if (node) { await postOrder(node.left); await postOrder(node.right); await visit(node); }};
-        const bfs = async () => {
+        const inOrder = (node) => { if (node) { inOrder(node.left); visit(node); inOrder(node.right); }};
+        const preOrder = (node) => { if (node) { visit(node); preOrder(node.left); preOrder(node.right); }};
+        const postOrder = (node) => { if (node) { postOrder(node.left); postOrder(node.right); visit(node); }};
+        const bfs = () => {
             const q = [this.root];
             while(q.length > 0) {
                 const node = q.shift();
-                await visit(node);
+                visit(node);
                 if(node.left) q.push(node.left);
                 if(node.right) q.push(node.right);
             }
         };
 
-        if (order === 'In-order') await inOrder(this.root);
-        else if (order === 'Pre-order') await preOrder(this.root);
-        else if (order === 'Post-order') await postOrder(this.root);
-        else if (order === 'BFS') await bfs();
+        const push = (node) => {
+            container.push(node);
+            highlights.set(node, '#60a5fa');
+            this.player.describe(`${order} traversal: push ${node.value}` + (traversalOrder.length ? ` | ${traversalOrder.join(' -> ')}` : ''));
+            snapshotContainer({ [container.length - 1]: '#16a34a' });
+            this.player.record(highlights, 400, { container: containerView });
+        };
+        const pop = () => {
+            const index = kind === 'Queue' ? 0 : container.length - 1;
+            snapshotContainer({ [index]: '#ef4444' });
+            this.player.record(highlights, 300, { container: containerView });
+            const node = kind === 'Queue' ? container.shift() : container.pop();
+            snapshotContainer();
+            return node;
+        };
+
+        const inOrderIterative = () => {
+            let current = this.root;
+            while (current || container.length > 0) {
+                while (current) { push(current); current = current.left; }
+                const node = pop();
+                visit(node);
+                current = node.right;
+            }
+        };
+        const preOrderIterative = () => {
+            push(this.root);
+            while (container.length > 0) {
+                const node = pop();
+                visit(node);
+                // Right first so the left child is on top
+                if (node.right) push(node.right);
+                if (node.left) push(node.left);
+            }
+        };
+        const postOrderIterative = () => {
+            let current = this.root;
+            let lastVisited = null;
+            while (current || container.length > 0) {
+                if (current) {
+                    push(current);
+                    current = current.left;
+                    continue;
+                }
+                // Only visit the top once its right subtree is done
+                const top = container[container.length - 1];
+                if (top.right && lastVisited !== top.right) {
+                    current = top.right;
+                } else {
+                    pop();
+                    visit(top);
+                    lastVisited = top;
+                }
+            }
+        };
+        const bfsIterative = () => {
+            push(this.root);
+            while (container.length > 0) {
+                const node = pop();
+                visit(node);
+                if (node.left) push(node.left);
+                if (node.right) push(node.right);
+            }
+        };
+
+        if (this.iterative) {
+            if (order === 'In-order') inOrderIterative();
+            else if (order === 'Pre-order') preOrderIterative();
+            else if (order === 'Post-order') postOrderIterative();
+            else if (order === 'BFS') bfsIterative();
+        }
+        else if (order === 'In-order') inOrder(this.root);
+        else if (order === 'Pre-order') preOrder(this.root);
+        else if (order === 'Post-order') postOrder(this.root);
+        else if (order === 'BFS') bfs();
         
-        await sleep(1000);
-        this.draw();
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        this.player.record(highlights, 1000, { container: containerView });
+        await this.player.finish();
+    }
+
+    setupContainerCanvas() {
+        const dpr = window.devicePixelRatio || 1;
+        const rect = containerCanvas.parentElement.getBoundingClientRect();
+        containerCanvas.width = rect.width * dpr;
+        containerCanvas.height = rect.height * dpr;
+        containerCanvas.getContext('2d').scale(dpr, dpr);
+        this.drawContainer(null, []);
+    }
+
+    drawContainer(kind, items, highlights = {}) {
+        const panelCtx = containerCanvas.getContext('2d');
+        const rect = containerCanvas.parentElement.getBoundingClientRect();
+        panelCtx.clearRect(0, 0, rect.width, rect.height);
+        if (!kind) return;
+
+        panelCtx.fillStyle = '#475569';
+        panelCtx.font = 'bold 14px Inter';
+        panelCtx.textAlign = 'center';
+        panelCtx.textBaseline = 'middle';
+        panelCtx.fillText(kind, rect.width / 2, 16);
+        if (items.length === 0) {
+            panelCtx.font = '14px Inter';
+            panelCtx.fillStyle = '#64748b';
+            panelCtx.fillText(`${kind} is empty`, rect.width / 2, rect.height / 2);
+            return;
+        }
+
+        const boxWidth = Math.min(80, rect.width - 70);
+        if (kind === 'Stack') {
+            const boxHeight = Math.min(34, (rect.height - 60) / items.length);
+            drawStackBoxes(panelCtx, items, { centerX: rect.width / 2 + 18, bottomY: rect.height - 10, boxWidth, boxHeight, fontSize: 14 }, highlights);
+        } else {
+            const spacing = 6;
+            const boxHeight = Math.min(34, (rect.height - 90) / items.length - spacing);
+            drawQueueBoxes(panelCtx, items, { x: (rect.width - boxWidth) / 2, y: 50, boxWidth, boxHeight, spacing, vertical: true, fontSize: 14 }, highlights);
+        }
     }
     
     async checkBalanced() {
-        if(this.isAnimating || !this.root) return;
-        this.isAnimating = true;
-        statusDisplay.textContent = 'Checking if tree is balanced...';
+        if(this.player.isBusy || !this.root) return;
+        this.player.begin('Checking if tree is balanced...');
         
         let isBalanced = true;
         const highlights = new Map();
 
-        const getHeight = async (node) => {
+        const getHeight = (node) => {
             if(!node) return 0;
             
             highlights.set(node, '#f59e0b');
-            this.draw(highlights);
-            await sleep(400);
+            this.player.record(highlights, 400);
 
-            const leftHeight = await getHeight(node.left);
-            const rightHeight = await getHeight(node.right);
+            const leftHeight = getHeight(node.left);
+            const rightHeight = getHeight(node.right);
 
             if(Math.abs(leftHeight - rightHeight) > 1) {
                 isBalanced = false;
@@ -276,54 +1302,46 @@ class BinaryTreeVisualizer {
             } else {
                 highlights.set(node, '#16a34a');
             }
-            this.draw(highlights);
-            await sleep(400);
+            this.player.record(highlights, 400);
 
             return Math.max(leftHeight, rightHeight) + 1;
         };
 
-        await getHeight(this.root);
-        showMessage(`Is the tree balanced? ${isBalanced}`, isBalanced ? 'success' : 'error');
-        this.draw();
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        getHeight(this.root);
+        await this.player.finish({ message: [`Is the tree balanced? ${isBalanced}`, isBalanced ? 'success' : 'error'] });
     }
     
     async findDiameter() {
-        if(this.isAnimating || !this.root) return;
-        this.isAnimating = true;
-        statusDisplay.textContent = 'Calculating tree diameter...';
+        if(this.player.isBusy || !this.root) return;
+        this.player.begin('Calculating tree diameter...');
         
         let diameter = 0;
         const highlights = new Map();
 
-        const getHeightAndDiameter = async (node) => {
+        const getHeightAndDiameter = (node) => {
             if(!node) return 0;
             
             highlights.set(node, '#f59e0b');
-            this.draw(highlights);
-            await sleep(400);
+            this.player.record(highlights, 400);
 
-            let leftHeight = await getHeightAndDiameter(node.left);
-            let rightHeight = await getHeightAndDiameter(node.right);
+            let leftHeight = getHeightAndDiameter(node.left);
+            let rightHeight = getHeightAndDiameter(node.right);
             
             diameter = Math.max(diameter, leftHeight + rightHeight);
             
             highlights.set(node, '#16a34a');
-            this.draw(highlights);
+            this.player.record(highlights, 0);
             
             return Math.max(leftHeight, rightHeight) + 1;
         };
 
-        await getHeightAndDiameter(this.root);
-        showMessage(`The diameter of the tree is ${diameter}.`, 'info');
-        this.draw();
-        statusDisplay.textContent = 'Ready.';
-        this.isAnimating = false;
+        getHeightAndDiameter(this.root);
+        await this.player.finish({ message: [`The diameter of the tree is ${diameter}.`, 'info'] });
     }
     
     setupEventListeners() {
         const valueInput = document.getElementById('value-input');
+        const modeSelect = document.getElementById('tree-mode-select');
         
         const handleOp = (func, needsValue) => {
             const value = parseInt(valueInput.value);
@@ -338,7 +1356,66 @@ class BinaryTreeVisualizer {
         document.getElementById('insert-btn').addEventListener('click', () => handleOp(this.insert.bind(this), true));
         document.getElementById('search-btn').addEventListener('click', () => handleOp(this.search.bind(this), true));
         document.getElementById('delete-btn').addEventListener('click', () => handleOp(this.delete.bind(this), true));
+        document.getElementById('show-nil-checkbox').addEventListener('change', (e) => {
+            this.showNil = e.target.checked;
+            this.refresh();
+        });
+        modeSelect.addEventListener('change', () => {
+            if (!this.setMode(modeSelect.value)) modeSelect.value = this.mode;
+        });
+        document.getElementById('delete-strategy-select').addEventListener('change', (e) => {
+            this.deleteStrategy = e.target.value;
+        });
         
+        document.getElementById('build-btn').addEventListener('click', () => {
+            const parseList = (text) => text.split(/[\s,]+/).filter(v => v !== '').map(Number);
+            const inorder = parseList(document.getElementById('build-inorder-input').value);
+            const other = parseList(document.getElementById('build-other-input').value);
+            if (inorder.some(isNaN) || other.some(isNaN)) {
+                showMessage('Sequences must be comma-separated numbers.', 'error');
+                return;
+            }
+            this.buildFromTraversals(inorder, other, document.getElementById('build-order-select').value);
+        });
+
+        document.getElementById('iterative-checkbox').addEventListener('change', (e) => {
+            if (this.player.isBusy) {
+                e.target.checked = this.iterative;
+                return;
+            }
+            this.iterative = e.target.checked;
+            document.getElementById('container-panel').classList.toggle('hidden', !this.iterative);
+            this.setupCanvas();
+        });
+
+        this.setupViewControls();
+        document.getElementById('fit-btn').addEventListener('click', () => this.fitToView());
+        document.getElementById('bulk-insert-btn').addEventListener('click', () => {
+            this.bulkInsert(parseInt(document.getElementById('bulk-count-input').value));
+        });
+
+        const levelOrderInput = document.getElementById('level-order-input');
+        document.getElementById('import-btn').addEventListener('click', () => this.importLevelOrder(levelOrderInput.value));
+        document.getElementById('export-btn').addEventListener('click', () => this.exportLevelOrder(levelOrderInput));
+
+        const queryA = document.getElementById('query-a-input');
+        const queryB = document.getElementById('query-b-input');
+        const handleQuery = (func, needsB) => {
+            const a = parseInt(queryA.value);
+            const b = parseInt(queryB.value);
+            if (isNaN(a) || (needsB && isNaN(b))) {
+                showMessage(needsB ? 'Please enter two valid numbers.' : 'Please enter a valid number in the first box.', 'error');
+                return;
+            }
+            func(a, b);
+        };
+        document.getElementById('lca-btn').addEventListener('click', () => handleQuery((a, b) => this.lowestCommonAncestor(a, b), true));
+        document.getElementById('kth-smallest-btn').addEventListener('click', () => handleQuery(k => this.kthElement(k, false), false));
+        document.getElementById('kth-largest-btn').addEventListener('click', () => handleQuery(k => this.kthElement(k, true), false));
+        document.getElementById('floor-btn').addEventListener('click', () => handleQuery(v => this.floorCeiling(v, false), false));
+        document.getElementById('ceil-btn').addEventListener('click', () => handleQuery(v => this.floorCeiling(v, true), false));
+        document.getElementById('range-btn').addEventListener('click', () => handleQuery((lo, hi) => this.rangeQuery(lo, hi), true));
+
         document.getElementById('inorder-btn').addEventListener('click', () => this.traverse('In-order'));
         document.getElementById('preorder-btn').addEventListener('click', () => this.traverse('Pre-order'));
         document.getElementById('postorder-btn').addEventListener('click', () => this.traverse('Post-order'));
@@ -348,4 +1425,5 @@ class BinaryTreeVisualizer {
     }
 }
 
-new BinaryTreeVisualizer();
\ No newline at end of file
+// heap.html also loads this file for Node and the tree layout, so only start up on the tree page
+if (document.getElementById('tree-mode-select')) new BinaryTreeVisualizer();
\ No newline at end of file
@@ -0,0 +1,65 @@
+// --- SHARED STACK & QUEUE DRAWING ---
+// Box drawing used by stack.js and queue.js, and by the iterative traversals in binary-tree.js.
+
+// Draws items bottom-up with a TOP marker beside the last one
+function drawStackBoxes(context, items, layout, highlights = {}) {
+    const { centerX, bottomY, boxWidth, boxHeight, fontSize = 18 } = layout;
+
+    items.forEach((value, i) => {
+        const y = bottomY - (i + 1) * boxHeight;
+
+        context.beginPath();
+        context.rect(centerX - boxWidth / 2, y, boxWidth, boxHeight);
+        context.fillStyle = highlights[i] || '#059669'; // Emerald-600
+        context.fill();
+        context.strokeStyle = '#047857'; // Emerald-700
+        context.lineWidth = 2;
+        context.stroke();
+
+        context.fillStyle = 'white';
+        context.font = `bold ${fontSize}px Inter`;
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(value, centerX, y + boxHeight / 2);
+    });
+
+    if (items.length > 0) {
+        const topY = bottomY - items.length * boxHeight;
+        context.font = `bold ${fontSize - 2}px Inter`;
+        context.fillStyle = "#1e293b";
+        context.textAlign = "center";
+        context.fillText("TOP", centerX - boxWidth, topY + boxHeight / 2);
+    }
+}
+
+// Draws items front to back, left to right (or top to bottom when vertical), with Front and Rear markers
+function drawQueueBoxes(context, items, layout, highlights = {}) {
+    const { x, y, boxWidth, boxHeight, spacing, vertical = false, fontSize = 18 } = layout;
+    const boxX = i => vertical ? x : x + i * (boxWidth + spacing);
+    const boxY = i => vertical ? y + i * (boxHeight + spacing) : y;
+
+    items.forEach((value, i) => {
+        context.beginPath();
+        context.rect(boxX(i), boxY(i), boxWidth, boxHeight);
+        context.fillStyle = highlights[i] || '#059669';
+        context.fill();
+        context.strokeStyle = '#047857';
+        context.lineWidth = 2;
+        context.stroke();
+
+        context.fillStyle = 'white';
+        context.font = `bold ${fontSize}px Inter`;
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(value, boxX(i) + boxWidth / 2, boxY(i) + boxHeight / 2);
+    });
+
+    if (items.length === 0) return;
+    const last = items.length - 1;
+    const labelGap = vertical ? 14 : 40;
+    context.font = `bold ${fontSize - 2}px Inter`;
+    context.fillStyle = "#1e293b";
+    context.textAlign = "center";
+    context.fillText("Front", boxX(0) + boxWidth / 2, boxY(0) - labelGap);
+    context.fillText("Rear", boxX(last) + boxWidth / 2, boxY(last) + boxHeight + labelGap);
+}
@@ -1,18 +1,6 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const messageBox = document.getElementById('messageBox');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
 
 // --- NODE CLASS (DOUBLY) ---
 class Node {
@@ -109,7 +97,7 @@ class DoublyLinkedListVisualizer {
     constructor() {
         this.head = null;
         this.tail = null; // Keep track of tail for O(1) addLast
-        this.isAnimating = false;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -119,13 +107,37 @@ class DoublyLinkedListVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
-        this.repositionNodes();
-        this.draw();
+        this.player.refresh();
     }
-    
-    repositionNodes() {
-        if (!this.head) return;
-        let current = this.head;
+
+    // --- Step player hooks ---
+    // Frames hold a copy of the chain; highlights are keyed by node, so they move to the copies
+    captureFrame(highlightMap = new Map()) {
+        const copies = new Map();
+        let head = null;
+        let tail = null;
+        for (let current = this.head; current; current = current.next) {
+            const copy = new Node(current.value);
+            copies.set(current, copy);
+            if (tail) {
+                tail.next = copy;
+                copy.previous = tail;
+            } else {
+                head = copy;
+            }
+            tail = copy;
+        }
+        const highlights = new Map();
+        highlightMap.forEach((color, node) => { if (copies.has(node)) highlights.set(copies.get(node), color); });
+        return { head, tail, highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.head, frame.tail);
+    }
+
+    repositionNodes(head) {
+        let current = head;
         let x = 100;
         const y = canvas.height / 2;
         const spacing = 150;
@@ -137,9 +149,9 @@ class DoublyLinkedListVisualizer {
         }
     }
 
-    draw(highlightMap = new Map()) {
+    draw(highlightMap = new Map(), head = this.head, tail = this.tail) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        if (!this.head) {
+        if (!head) {
             ctx.font = "20px Inter";
             ctx.fillStyle = "#64748b";
             ctx.textAlign = "center";
@@ -148,7 +160,8 @@ class DoublyLinkedListVisualizer {
         }
 
         // Draw pointers and nodes
-        let current = this.head;
+        this.repositionNodes(head);
+        let current = head;
         while (current) {
             current.draw(highlightMap.get(current));
             if (current.next) {
@@ -161,129 +174,92 @@ class DoublyLinkedListVisualizer {
         ctx.font = "bold 16px Inter";
         ctx.fillStyle = "#1e293b";
         ctx.textAlign = "center";
-        ctx.fillText("HEAD", this.head.x, this.head.y - 80);
-        if (this.tail) {
-            ctx.fillText("TAIL", this.tail.x, this.tail.y + 80);
+        ctx.fillText("HEAD", head.x, head.y - 80);
+        if (tail) {
+            ctx.fillText("TAIL", tail.x, tail.y + 80);
         }
     }
     
     async addFirst(value) {
-        if (this.isAnimating) return;
-        this.isAnimating = true;
-        try {
-            const newNode = new Node(value);
-            if (this.head) {
-                this.head.previous = newNode;
-                newNode.next = this.head;
-            } else {
-                this.tail = newNode; // If list was empty, new node is also tail
-            }
-            this.head = newNode;
-            
-            this.repositionNodes();
-            this.draw(new Map([[newNode, '#16a34a']]));
-            await sleep(600);
-            this.draw();
-            showMessage(`Added ${value} to the front`, 'success');
-        } finally {
-            this.isAnimating = false;
+        if (this.player.isBusy) return;
+        this.player.begin(`Adding ${value} to the front...`);
+
+        const newNode = new Node(value);
+        if (this.head) {
+            this.head.previous = newNode;
+            newNode.next = this.head;
+        } else {
+            this.tail = newNode; // If list was empty, new node is also tail
         }
+        this.head = newNode;
+        this.player.record(new Map([[newNode, '#16a34a']]), 600);
+
+        await this.player.finish({ message: [`Added ${value} to the front`, 'success'] });
     }
-    
+
     async addLast(value) {
-        if (this.isAnimating) return;
-        this.isAnimating = true;
-        try {
-            const newNode = new Node(value);
-            if (this.tail) {
-                this.tail.next = newNode;
-                newNode.previous = this.tail;
-            } else {
-                this.head = newNode; // If list was empty, new node is also head
-            }
-            this.tail = newNode;
-
-            this.repositionNodes();
-            this.draw(new Map([[newNode, '#16a34a']]));
-            await sleep(600);
-            this.draw();
-            showMessage(`Added ${value} to the end`, 'success');
-        } finally {
-            this.isAnimating = false;
+        if (this.player.isBusy) return;
+        this.player.begin(`Adding ${value} to the end...`);
+
+        const newNode = new Node(value);
+        if (this.tail) {
+            this.tail.next = newNode;
+            newNode.previous = this.tail;
+        } else {
+            this.head = newNode; // If list was empty, new node is also head
         }
+        this.tail = newNode;
+        this.player.record(new Map([[newNode, '#16a34a']]), 600);
+
+        await this.player.finish({ message: [`Added ${value} to the end`, 'success'] });
     }
 
     async removeFirst() {
-        if (this.isAnimating || !this.head) return;
-        this.isAnimating = true;
-        try {
-            const nodeToRemove = this.head;
-            this.draw(new Map([[nodeToRemove, '#ef4444']]));
-            await sleep(600);
-            
-            this.head = this.head.next;
-            if (this.head) {
-                this.head.previous = null;
-            } else {
-                this.tail = null; // List is now empty
-            }
-            
-            this.repositionNodes();
-            this.draw();
-            showMessage(`Removed ${nodeToRemove.value} from the front`, 'success');
-        } finally {
-            this.isAnimating = false;
+        if (this.player.isBusy || !this.head) return;
+        this.player.begin('Removing the first node...');
+
+        const nodeToRemove = this.head;
+        this.player.record(new Map([[nodeToRemove, '#ef4444']]), 600);
+
+        this.head = this.head.next;
+        if (this.head) {
+            this.head.previous = null;
+        } else {
+            this.tail = null; // List is now empty
         }
+
+        await this.player.finish({ message: [`Removed ${nodeToRemove.value} from the front`, 'success'] });
     }
 
     async removeLast() {
-        if (this.isAnimating || !this.tail) return;
-        this.isAnimating = true;
-        try {
-            const nodeToRemove = this.tail;
-            this.draw(new Map([[nodeToRemove, '#ef4444']]));
-            await sleep(600);
-
-            this.tail = this.tail.previous;
-            if (this.tail) {
-                this.tail.next = null;
-            } else {
-                this.head = null; // List is now empty
-            }
+        if (this.player.isBusy || !this.tail) return;
+        this.player.begin('Removing the last node...');
+
+        const nodeToRemove = this.tail;
+        this.player.record(new Map([[nodeToRemove, '#ef4444']]), 600);
 
-            this.repositionNodes();
-            this.draw();
-            showMessage(`Removed ${nodeToRemove.value} from the end`, 'success');
-        } finally {
-            this.isAnimating = false;
+        this.tail = this.tail.previous;
+        if (this.tail) {
+            this.tail.next = null;
+        } else {
+            this.head = null; // List is now empty
         }
+
+        await this.player.finish({ message: [`Removed ${nodeToRemove.value} from the end`, 'success'] });
     }
 
     async search(value) {
-        if (this.isAnimating || !this.head) return;
-        this.isAnimating = true;
-        try {
-            let current = this.head;
-            let found = false;
-            while(current) {
-                if (current.value === value) {
-                    this.draw(new Map([[current, '#16a34a']]));
-                    await sleep(1000);
-                    showMessage(`Found ${value}!`, 'success');
-                    found = true;
-                    break;
-                }
-                this.draw(new Map([[current, '#f59e0b']]));
-                await sleep(400);
-                current = current.next;
-            }
-            if (!found) {
-                showMessage(`${value} not found.`, 'error');
-            }
-            this.draw();
-        } finally {
-            this.isAnimating = false;
+        if (this.player.isBusy || !this.head) return;
+        this.player.begin(`Searching for ${value}...`);
+
+        let current = this.head;
+        while (current && current.value !== value) {
+            this.player.record(new Map([[current, '#f59e0b']]));
+            current = current.next;
         }
+        if (current) this.player.record(new Map([[current, '#16a34a']]), 1000);
+
+        await this.player.finish({ message: current ? [`Found ${value}!`, 'success'] : [`${value} not found.`, 'error'] });
     }
 
     setupEventListeners() {
@@ -1,37 +1,15 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const messageBox = document.getElementById('messageBox');
-const statusDisplay = document.getElementById('status-display');
-const complexityDisplay = document.getElementById('complexity-display');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 
 // --- OPERATION INFO ---
 const INFO = {
-    'set': { complexity: 'O(1)', status: 'Set (Insert/Update)...' },
-    'get': { complexity: 'O(1)', status: 'Get (Search)...' },
-    'delete': { complexity: 'O(1)', status: 'Deleting...' },
+    'set': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Set (Insert/Update)...' },
+    'get': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Get (Search)...' },
+    'delete': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Deleting...' },
     'clear': { complexity: 'O(n)', status: 'Clearing table...' }
 };
 
-function updateInfo(operation, statusText = null) {
-    complexityDisplay.innerHTML = `O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>`;
-    if (INFO[operation]) {
-        statusDisplay.textContent = statusText || INFO[operation].status;
-    } else {
-        complexityDisplay.textContent = 'O(?)';
-        statusDisplay.textContent = 'Ready';
-    }
-}
-
 // --- NODE FOR LINKED LIST CHAINING ---
 class Node {
     constructor(key, value) {
@@ -46,7 +24,7 @@ class HashMapVisualizer {
     constructor(size = 7) {
         this.size = size;
         this.table = new Array(size).fill(null);
-        this.isAnimating = false;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -56,7 +34,24 @@ class HashMapVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = 600;
-        this.draw();
+        this.player.refresh();
+    }
+
+    // --- Step player hooks ---
+    // Highlights name buckets and keys rather than nodes, so frames only need a copy of the chains
+    captureFrame(highlights = {}) {
+        const table = this.table.map(head => {
+            const copy = { next: head };
+            for (let tail = copy; tail.next; tail = tail.next) {
+                tail.next = Object.assign(Object.create(Node.prototype), tail.next);
+            }
+            return copy.next;
+        });
+        return { table, highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.table);
     }
 
     // Simple hash function for demonstration
@@ -68,7 +63,7 @@ class HashMapVisualizer {
         return hash;
     }
 
-    draw(highlights = {}) {
+    draw(highlights = {}, table = this.table) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         const bucketWidth = 80;
         const bucketHeight = 50;
@@ -90,7 +85,7 @@ class HashMapVisualizer {
             ctx.fillText(`[${i}]`, startX + bucketWidth / 2, y + bucketHeight / 2);
 
             // Draw linked list chains
-            let current = this.table[i];
+            let current = table[i];
             let nodeIndex = 0;
             while (current) {
                 const nodeX = startX + bucketWidth + 50 + nodeIndex * (nodeWidth + 20);
@@ -123,128 +118,103 @@ class HashMapVisualizer {
         }
     }
 
+    // Records the hashing frames and returns the bucket index
+    recordHash(key, next = 'Searching chain...') {
+        const index = this.hash(key);
+        this.player.record({}, 500);
+        this.player.describe(`Hashed to index [${index}]. ${next}`);
+        this.player.record({ bucket: index }, 800);
+        return index;
+    }
+
     async set(key, value) {
-        if (!key || !value || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('set', `Hashing key "${key}"...`);
+        if (!key || !value || this.player.isBusy) return;
+        updateInfo('set');
+        this.player.begin(`Hashing key "${key}"...`);
 
-        const index = this.hash(key);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Searching for key...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        const index = this.recordHash(key, 'Searching for key...');
 
         let current = this.table[index];
         let previous = null;
         while (current) {
-            this.draw({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'});
-            await sleep(500);
+            this.player.record({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'}, 500);
             if (current.key === key) {
-                statusDisplay.textContent = `Key found. Updating value to "${value}".`;
+                this.player.describe(`Key found. Updating value to "${value}".`);
                 current.value = value;
-                this.draw({ bucket: index, nodeKey: key, nodeColor: '#16a34a' });
-                await sleep(800);
-                showMessage(`Updated key "${key}"`, 'success');
-                this.isAnimating = false;
-                updateInfo(null);
-                this.draw();
+                this.player.record({ bucket: index, nodeKey: key, nodeColor: '#16a34a' }, 800);
+                await this.player.finish({ message: [`Updated key "${key}"`, 'success'] });
                 return;
             }
             previous = current;
             current = current.next;
         }
 
-        statusDisplay.textContent = `Key not found. Inserting new node.`;
+        this.player.describe(`Key not found. Inserting new node.`);
         const newNode = new Node(key, value);
         if (previous) {
             previous.next = newNode;
         } else {
             this.table[index] = newNode;
         }
-        
-        this.draw({ bucket: index, nodeKey: key, nodeColor: '#16a34a' });
-        await sleep(800);
-        showMessage(`Set key "${key}"`, 'success');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+
+        this.player.record({ bucket: index, nodeKey: key, nodeColor: '#16a34a' }, 800);
+        await this.player.finish({ message: [`Set key "${key}"`, 'success'] });
     }
 
     async get(key) {
-        if (!key || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('get', `Hashing key "${key}"...`);
+        if (!key || this.player.isBusy) return;
+        updateInfo('get');
+        this.player.begin(`Hashing key "${key}"...`);
 
-        const index = this.hash(key);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Searching chain...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        const index = this.recordHash(key);
 
         let current = this.table[index];
         while (current) {
-            this.draw({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'});
-            await sleep(500);
+            this.player.record({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'}, 500);
             if (current.key === key) {
-                 this.draw({ bucket: index, nodeKey: key, nodeColor: '#16a34a' });
-                showMessage(`Value for "${key}" is "${current.value}"`, 'success');
-                this.isAnimating = false;
-                updateInfo(null);
+                this.player.record({ bucket: index, nodeKey: key, nodeColor: '#16a34a' }, 800);
+                await this.player.finish({ message: [`Value for "${key}" is "${current.value}"`, 'success'] });
                 return;
             }
             current = current.next;
         }
 
-        showMessage(`Key "${key}" not found`, 'error');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+        await this.player.finish({ message: [`Key "${key}" not found`, 'error'] });
     }
 
     async delete(key) {
-        if (!key || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('delete', `Hashing key "${key}"...`);
-        
-        const index = this.hash(key);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Searching chain...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        if (!key || this.player.isBusy) return;
+        updateInfo('delete');
+        this.player.begin(`Hashing key "${key}"...`);
+
+        const index = this.recordHash(key);
 
         let current = this.table[index];
         let previous = null;
         while(current) {
-             this.draw({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'});
-             await sleep(500);
+             this.player.record({ bucket: index, nodeKey: current.key, nodeColor: '#f59e0b'}, 500);
              if(current.key === key) {
-                this.draw({ bucket: index, nodeKey: key, nodeColor: '#ef4444'});
-                await sleep(800);
+                this.player.record({ bucket: index, nodeKey: key, nodeColor: '#ef4444'}, 800);
                 if (previous) {
                     previous.next = current.next;
                 } else {
                     this.table[index] = current.next;
                 }
-                showMessage(`Deleted key "${key}"`, 'success');
-                this.isAnimating = false;
-                updateInfo(null);
-                this.draw();
+                await this.player.finish({ message: [`Deleted key "${key}"`, 'success'] });
                 return;
              }
              previous = current;
              current = current.next;
         }
-        
-        showMessage(`Key "${key}" not found`, 'error');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+
+        await this.player.finish({ message: [`Key "${key}" not found`, 'error'] });
     }
-    
+
     clear() {
-        if(this.isAnimating) return;
+        if (this.player.isBusy) return;
         updateInfo('clear');
         this.table = new Array(this.size).fill(null);
+        this.player.clear();
         this.draw();
         showMessage('HashMap has been cleared.', 'success');
         updateInfo(null);
@@ -1,37 +1,15 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const messageBox = document.getElementById('messageBox');
-const statusDisplay = document.getElementById('status-display');
-const complexityDisplay = document.getElementById('complexity-display');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 
 // --- OPERATION INFO ---
 const INFO = {
-    'add': { complexity: 'O(1)', status: 'Adding element...' },
-    'remove': { complexity: 'O(1)', status: 'Removing element...' },
-    'contains': { complexity: 'O(1)', status: 'Checking for element...' },
+    'add': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Adding element...' },
+    'remove': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Removing element...' },
+    'contains': { complexity: 'O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>', status: 'Checking for element...' },
     'clear': { complexity: 'O(n)', status: 'Clearing set...' }
 };
 
-function updateInfo(operation, statusText = null) {
-    complexityDisplay.innerHTML = `O(1) <span class="text-slate-500">avg</span>, O(n) <span class="text-slate-500">worst</span>`;
-    if (INFO[operation]) {
-        statusDisplay.textContent = statusText || INFO[operation].status;
-    } else {
-        complexityDisplay.textContent = 'O(?)';
-        statusDisplay.textContent = 'Ready';
-    }
-}
-
 // --- NODE FOR LINKED LIST CHAINING ---
 class Node {
     constructor(value) {
@@ -45,7 +23,7 @@ class HashSetVisualizer {
     constructor(size = 7) {
         this.size = size;
         this.table = new Array(size).fill(null);
-        this.isAnimating = false;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -55,7 +33,24 @@ class HashSetVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = 600;
-        this.draw();
+        this.player.refresh();
+    }
+
+    // --- Step player hooks ---
+    // Highlights name buckets and keys rather than nodes, so frames only need a copy of the chains
+    captureFrame(highlights = {}) {
+        const table = this.table.map(head => {
+            const copy = { next: head };
+            for (let tail = copy; tail.next; tail = tail.next) {
+                tail.next = Object.assign(Object.create(Node.prototype), tail.next);
+            }
+            return copy.next;
+        });
+        return { table, highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.table);
     }
 
     // Simple hash function for demonstration
@@ -68,7 +63,7 @@ class HashSetVisualizer {
         return hash;
     }
 
-    draw(highlights = {}) {
+    draw(highlights = {}, table = this.table) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         const bucketWidth = 80;
         const bucketHeight = 50;
@@ -90,7 +85,7 @@ class HashSetVisualizer {
             ctx.fillText(`[${i}]`, startX + bucketWidth / 2, y + bucketHeight / 2);
 
             // Draw linked list chains
-            let current = this.table[i];
+            let current = table[i];
             let nodeIndex = 0;
             while (current) {
                 const nodeX = startX + bucketWidth + 50 + nodeIndex * (nodeWidth + 20);
@@ -121,122 +116,97 @@ class HashSetVisualizer {
         }
     }
 
+    // Records the hashing frames and returns the bucket index
+    recordHash(value, next = 'Searching chain...') {
+        const index = this.hash(value);
+        this.player.record({}, 500);
+        this.player.describe(`Hashed to index [${index}]. ${next}`);
+        this.player.record({ bucket: index }, 800);
+        return index;
+    }
+
     async add(value) {
-        if (!value || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('add', `Hashing value "${value}"...`);
+        if (!value || this.player.isBusy) return;
+        updateInfo('add');
+        this.player.begin(`Hashing value "${value}"...`);
 
-        const index = this.hash(value);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Checking for duplicates...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        const index = this.recordHash(value, 'Checking for duplicates...');
 
         let current = this.table[index];
         while (current) {
-            this.draw({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'});
-            await sleep(500);
+            this.player.record({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'}, 500);
             if (current.value === value) {
-                statusDisplay.textContent = `Value "${value}" already exists in the set.`;
-                this.draw({ bucket: index, nodeValue: value, nodeColor: '#ef4444' });
-                await sleep(800);
-                showMessage(`Value "${value}" is already in the set.`, 'error');
-                this.isAnimating = false;
-                updateInfo(null);
-                this.draw();
+                this.player.describe(`Value "${value}" already exists in the set.`);
+                this.player.record({ bucket: index, nodeValue: value, nodeColor: '#ef4444' }, 800);
+                await this.player.finish({ message: [`Value "${value}" is already in the set.`, 'error'] });
                 return;
             }
             current = current.next;
         }
 
-        statusDisplay.textContent = `Value is unique. Inserting new node.`;
+        this.player.describe(`Value is unique. Inserting new node.`);
         const newNode = new Node(value);
         newNode.next = this.table[index];
         this.table[index] = newNode;
-        
-        this.draw({ bucket: index, nodeValue: value, nodeColor: '#16a34a' });
-        await sleep(800);
-        showMessage(`Added "${value}" to the set`, 'success');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+
+        this.player.record({ bucket: index, nodeValue: value, nodeColor: '#16a34a' }, 800);
+        await this.player.finish({ message: [`Added "${value}" to the set`, 'success'] });
     }
 
     async remove(value) {
-        if (!value || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('remove', `Hashing value "${value}"...`);
-        
-        const index = this.hash(value);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Searching chain...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        if (!value || this.player.isBusy) return;
+        updateInfo('remove');
+        this.player.begin(`Hashing value "${value}"...`);
+
+        const index = this.recordHash(value);
 
         let current = this.table[index];
         let previous = null;
         while(current) {
-             this.draw({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'});
-             await sleep(500);
+             this.player.record({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'}, 500);
              if(current.value === value) {
-                this.draw({ bucket: index, nodeValue: value, nodeColor: '#ef4444'});
-                await sleep(800);
+                this.player.record({ bucket: index, nodeValue: value, nodeColor: '#ef4444'}, 800);
                 if (previous) {
                     previous.next = current.next;
                 } else {
                     this.table[index] = current.next;
                 }
-                showMessage(`Removed "${value}"`, 'success');
-                this.isAnimating = false;
-                updateInfo(null);
-                this.draw();
+                await this.player.finish({ message: [`Removed "${value}"`, 'success'] });
                 return;
              }
              previous = current;
              current = current.next;
         }
-        
-        showMessage(`Value "${value}" not found`, 'error');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+
+        await this.player.finish({ message: [`Value "${value}" not found`, 'error'] });
     }
-    
+
     async contains(value) {
-        if (!value || this.isAnimating) return;
-        this.isAnimating = true;
-        updateInfo('contains', `Hashing value "${value}"...`);
+        if (!value || this.player.isBusy) return;
+        updateInfo('contains');
+        this.player.begin(`Hashing value "${value}"...`);
 
-        const index = this.hash(value);
-        await sleep(500);
-        statusDisplay.textContent = `Hashed to index [${index}]. Searching chain...`;
-        this.draw({ bucket: index });
-        await sleep(800);
+        const index = this.recordHash(value);
 
         let current = this.table[index];
         while (current) {
-            this.draw({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'});
-            await sleep(500);
+            this.player.record({ bucket: index, nodeValue: current.value, nodeColor: '#f59e0b'}, 500);
             if (current.value === value) {
-                 this.draw({ bucket: index, nodeValue: value, nodeColor: '#16a34a' });
-                showMessage(`Set contains "${value}"`, 'success');
-                this.isAnimating = false;
-                updateInfo(null);
+                this.player.record({ bucket: index, nodeValue: value, nodeColor: '#16a34a' }, 800);
+                await this.player.finish({ message: [`Set contains "${value}"`, 'success'] });
                 return;
             }
             current = current.next;
         }
 
-        showMessage(`Set does not contain "${value}"`, 'error');
-        this.isAnimating = false;
-        updateInfo(null);
-        this.draw();
+        await this.player.finish({ message: [`Set does not contain "${value}"`, 'error'] });
     }
-    
+
     clear() {
-        if(this.isAnimating) return;
+        if (this.player.isBusy) return;
         updateInfo('clear');
         this.table = new Array(this.size).fill(null);
+        this.player.clear();
         this.draw();
         showMessage('HashSet has been cleared.', 'success');
         updateInfo(null);
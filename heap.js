@@ -0,0 +1,329 @@
+// Relies on binary-tree.js (loaded first) for canvas, ctx, Node and the tree layout, and on
+// animation-engine.js for showMessage and the step player.
+
+// --- VISUALIZER CLASS ---
+class HeapVisualizer extends BinaryTreeVisualizer {
+    constructor() {
+        super();
+        this.nodes = []; // nodes[i] is the tree node for array index i
+        this.isMinHeap = true;
+        this.maxSize = 15;
+        this.hoverIndex = null;
+        this.setupHover();
+    }
+
+    // --- STEP PLAYER HOOKS ---
+    // Frames copy the backing array; the copies are linked so the base class can lay them out
+    captureFrame(highlights = {}) {
+        const nodes = this.nodes.map(node => {
+            const copy = new Node(node.value);
+            copy.id = node.id;
+            return copy;
+        });
+        nodes.forEach((node, i) => {
+            node.left = nodes[2 * i + 1] || null;
+            node.right = nodes[2 * i + 2] || null;
+        });
+        return { nodes, root: nodes[0] || null, highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.nodes);
+    }
+
+    // The nodes on screen: a recorded copy while stepping through frames, else the live heap
+    shownNodes() {
+        const frame = this.player.currentFrame;
+        return frame ? frame.nodes : this.nodes;
+    }
+
+    // --- DRAWING ---
+    // highlights are keyed by array index, like array.js
+    draw(highlights = {}, nodes = this.nodes) {
+        if (!this.nodes) return; // The base constructor draws before our fields exist
+        const all = { ...highlights };
+        if (this.hoverIndex !== null && this.hoverIndex < nodes.length && !all[this.hoverIndex]) {
+            all[this.hoverIndex] = '#22d3ee';
+        }
+
+        const treeHighlights = new Map();
+        Object.entries(all).forEach(([i, color]) => {
+            if (nodes[i]) treeHighlights.set(nodes[i], color);
+        });
+        super.draw(treeHighlights);
+        this.drawArray(all, nodes);
+        this.drawHoverLink(nodes);
+    }
+
+    getCellLayout(n = this.nodes.length) {
+        const rect = canvas.parentElement.getBoundingClientRect();
+        const cellSize = Math.min(50, (rect.width - 60) / Math.max(n, 1));
+        const spacing = 8;
+        const totalWidth = (n * cellSize) + ((n - 1) * spacing);
+        const startX = (rect.width - totalWidth) / 2;
+        const y = rect.height - cellSize - 40;
+        return { cellSize, spacing, startX, y };
+    }
+
+    drawArray(highlights, nodes) {
+        if (nodes.length === 0) return;
+        const { cellSize, spacing, startX, y } = this.getCellLayout(nodes.length);
+
+        ctx.fillStyle = '#64748b';
+        ctx.font = 'bold 12px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('Backing array', startX, y - 8);
+
+        nodes.forEach((node, i) => {
+            const x = startX + i * (cellSize + spacing);
+
+            ctx.beginPath();
+            ctx.roundRect(x, y, cellSize, cellSize, 8);
+            ctx.fillStyle = highlights[i] || '#6366f1';
+            ctx.strokeStyle = '#4338ca';
+            ctx.lineWidth = 2;
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = 'white';
+            ctx.font = `bold ${cellSize * 0.4}px Inter`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(node.value, x + cellSize / 2, y + cellSize / 2);
+
+            ctx.fillStyle = '#4b5563';
+            ctx.font = `${cellSize * 0.25}px Fira Code`;
+            ctx.textAlign = 'center';
+            ctx.fillText(i, x + cellSize / 2, y + cellSize + 15);
+        });
+    }
+
+    drawHoverLink(nodes) {
+        const i = this.hoverIndex;
+        if (i === null || i >= nodes.length) return;
+        const node = nodes[i];
+        const { cellSize, spacing, startX, y } = this.getCellLayout(nodes.length);
+        const cellX = startX + i * (cellSize + spacing) + cellSize / 2;
+
+        ctx.beginPath();
+        ctx.setLineDash([6, 4]);
+        ctx.moveTo(node.x, node.y + node.radius);
+        ctx.lineTo(cellX, y);
+        ctx.strokeStyle = '#0891b2';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Status line for the hovered index; left alone while a recording is on screen
+    showHoverStatus() {
+        if (this.player.currentFrame) return;
+        const i = this.hoverIndex;
+        const n = this.nodes.length;
+        if (i === null || i >= n) {
+            statusDisplay.textContent = 'Ready.';
+            return;
+        }
+        const parent = i > 0 ? `parent ${Math.floor((i - 1) / 2)}` : 'root';
+        const children = [2 * i + 1, 2 * i + 2].filter(child => child < n);
+        const childText = children.length === 0 ? 'leaf'
+            : `${children.length === 1 ? 'child' : 'children'} ${children.join(' and ')}`;
+        statusDisplay.textContent = `Index ${i}: ${parent}, ${childText}`;
+    }
+
+    setupHover() {
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const index = this.indexAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (index === this.hoverIndex) return;
+            this.hoverIndex = index;
+            if (!this.player.isBusy) {
+                this.refresh();
+                this.showHoverStatus();
+            }
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.hoverIndex = null;
+            if (!this.player.isBusy) {
+                this.refresh();
+                this.showHoverStatus();
+            }
+        });
+    }
+
+    indexAt(x, y) {
+        const nodes = this.shownNodes();
+        const nodeIndex = nodes.findIndex(node => Math.hypot(node.x - x, node.y - y) <= node.radius);
+        if (nodeIndex !== -1) return nodeIndex;
+
+        const { cellSize, spacing, startX, y: cellY } = this.getCellLayout(nodes.length);
+        if (y < cellY || y > cellY + cellSize) return null;
+        const i = Math.floor((x - startX) / (cellSize + spacing));
+        const insideCell = x - startX - i * (cellSize + spacing) <= cellSize;
+        return i >= 0 && i < nodes.length && insideCell ? i : null;
+    }
+
+    // --- HEAP HELPERS ---
+    // Rebuilds the left/right links from array indices
+    linkNodes() {
+        this.nodes.forEach((node, i) => {
+            node.left = this.nodes[2 * i + 1] || null;
+            node.right = this.nodes[2 * i + 2] || null;
+        });
+        this.root = this.nodes[0] || null;
+    }
+
+    outranks(a, b) {
+        return this.isMinHeap ? a < b : a > b;
+    }
+
+    swap(i, j) {
+        this.player.record({ [i]: '#f87171', [j]: '#f87171' }, 300);
+        [this.nodes[i].value, this.nodes[j].value] = [this.nodes[j].value, this.nodes[i].value];
+        this.player.record({ [i]: '#4ade80', [j]: '#4ade80' }, 300);
+    }
+
+    siftUp(i) {
+        while (i > 0) {
+            const parent = Math.floor((i - 1) / 2);
+            const child = this.nodes[i].value;
+            const above = this.nodes[parent].value;
+            this.player.describe(`Sift-up: comparing ${child} with parent ${above}`);
+            this.player.record({ [i]: '#fde047', [parent]: '#fde047' }, 500);
+            if (!this.outranks(child, above)) break;
+            this.player.describe(`Sift-up: swapping ${child} and ${above}`);
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    siftDown(i, n = this.nodes.length) {
+        while (true) {
+            const left = 2 * i + 1;
+            const right = 2 * i + 2;
+            let best = i;
+            if (left < n && this.outranks(this.nodes[left].value, this.nodes[best].value)) best = left;
+            if (right < n && this.outranks(this.nodes[right].value, this.nodes[best].value)) best = right;
+
+            if (left >= n) break;
+            const highlights = { [i]: '#fde047', [left]: '#fde047' };
+            if (right < n) highlights[right] = '#fde047';
+            this.player.describe(`Sift-down: comparing ${this.nodes[i].value} with its children`);
+            this.player.record(highlights, 500);
+
+            if (best === i) break;
+            this.player.describe(`Sift-down: swapping ${this.nodes[i].value} and ${this.nodes[best].value}`);
+            this.swap(i, best);
+            i = best;
+        }
+    }
+
+    // --- CORE OPERATIONS ---
+    async insert(value) {
+        if (this.player.isBusy) return;
+        if (this.nodes.length >= this.maxSize) {
+            showMessage(`Heap is full (max ${this.maxSize}).`, 'error');
+            return;
+        }
+        this.player.begin(`Inserting ${value} at index ${this.nodes.length}...`);
+
+        this.nodes.push(new Node(value));
+        this.linkNodes();
+        this.player.record({ [this.nodes.length - 1]: '#16a34a' }, 600);
+        this.siftUp(this.nodes.length - 1);
+
+        await this.player.finish();
+    }
+
+    async extractRoot() {
+        if (this.player.isBusy) return;
+        if (this.nodes.length === 0) {
+            showMessage('Heap is empty!', 'error');
+            return;
+        }
+        const rootValue = this.nodes[0].value;
+        this.player.begin(`Extracting ${this.isMinHeap ? 'min' : 'max'} ${rootValue}...`);
+        this.player.record({ 0: '#ef4444' }, 800);
+
+        const last = this.nodes.length - 1;
+        if (last > 0) {
+            this.player.describe(`Moving last element ${this.nodes[last].value} to the root`);
+            this.swap(0, last);
+        }
+        this.nodes.pop();
+        this.linkNodes();
+        this.player.record({}, 400);
+        this.siftDown(0);
+
+        await this.player.finish({ message: [`Extracted ${rootValue}.`, 'success'] });
+    }
+
+    // Bottom-up build: sift down every internal node, last parent first
+    async heapify(values) {
+        if (this.player.isBusy) return;
+        if (values.length > this.maxSize) {
+            showMessage(`Please enter at most ${this.maxSize} values.`, 'error');
+            return;
+        }
+        this.nodes = values.map(value => new Node(value));
+        this.linkNodes();
+        this.player.begin('Heapify: starting from the last internal node...');
+        this.player.record({}, 800);
+
+        for (let i = Math.floor(this.nodes.length / 2) - 1; i >= 0; i--) {
+            this.player.describe(`Heapify: sifting down index ${i}`);
+            this.player.record({ [i]: '#f59e0b' }, 500);
+            this.siftDown(i);
+        }
+
+        await this.player.finish({ message: [`${this.isMinHeap ? 'Min' : 'Max'}-heap built in O(n).`, 'success'] });
+    }
+
+    clear() {
+        if (this.player.isBusy) return;
+        this.nodes = [];
+        this.linkNodes();
+        this.player.clear();
+        this.draw();
+        showMessage('Heap cleared.', 'success');
+    }
+
+    setupEventListeners() {
+        const valueInput = document.getElementById('value-input');
+        const heapifyInput = document.getElementById('heapify-input');
+        const typeSelect = document.getElementById('heap-type-select');
+
+        document.getElementById('insert-btn').addEventListener('click', () => {
+            const value = parseInt(valueInput.value);
+            if (isNaN(value)) {
+                showMessage('Please enter a valid number.', 'error');
+                return;
+            }
+            this.insert(value);
+            valueInput.value = '';
+        });
+        document.getElementById('extract-btn').addEventListener('click', () => this.extractRoot());
+        document.getElementById('clear-btn').addEventListener('click', () => this.clear());
+
+        document.getElementById('heapify-btn').addEventListener('click', () => {
+            let values = heapifyInput.value.split(',').map(v => parseInt(v.trim())).filter(v => !isNaN(v));
+            if (values.length === 0) {
+                values = Array.from({ length: 10 }, () => Math.floor(Math.random() * 90) + 10);
+            }
+            this.heapify(values);
+        });
+
+        typeSelect.addEventListener('change', () => {
+            if (this.player.isBusy) {
+                typeSelect.value = this.isMinHeap ? 'min' : 'max';
+                return;
+            }
+            this.isMinHeap = typeSelect.value === 'min';
+            document.getElementById('extract-btn').textContent = this.isMinHeap ? 'Extract Min' : 'Extract Max';
+            if (this.nodes.length > 0) this.heapify(this.nodes.map(node => node.value));
+        });
+    }
+}
+
+new HeapVisualizer();
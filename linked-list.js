@@ -1,18 +1,6 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const messageBox = document.getElementById('messageBox');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
 
 // --- NODE CLASS ---
 class Node {
@@ -73,7 +61,7 @@ class Node {
 class LinkedListVisualizer {
     constructor() {
         this.head = null;
-        this.isAnimating = false;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -83,13 +71,33 @@ class LinkedListVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
-        this.repositionNodes();
-        this.draw();
+        this.player.refresh();
     }
-    
-    repositionNodes() {
-        if (!this.head) return;
-        let current = this.head;
+
+    // --- Step player hooks ---
+    // Frames hold a copy of the chain; highlights are keyed by node, so they move to the copies
+    captureFrame(highlightMap = new Map()) {
+        const copies = new Map();
+        let head = null;
+        let tail = null;
+        for (let current = this.head; current; current = current.next) {
+            const copy = new Node(current.value);
+            copies.set(current, copy);
+            if (tail) tail.next = copy;
+            else head = copy;
+            tail = copy;
+        }
+        const highlights = new Map();
+        highlightMap.forEach((color, node) => { if (copies.has(node)) highlights.set(copies.get(node), color); });
+        return { head, highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.head);
+    }
+
+    repositionNodes(head) {
+        let current = head;
         let x = 80;
         const y = canvas.height / 2;
         const spacing = 120;
@@ -101,9 +109,9 @@ class LinkedListVisualizer {
         }
     }
 
-    draw(highlightMap = new Map()) {
+    draw(highlightMap = new Map(), head = this.head) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        if (!this.head) {
+        if (!head) {
             ctx.font = "20px Inter";
             ctx.fillStyle = "#64748b";
             ctx.textAlign = "center";
@@ -111,14 +119,15 @@ class LinkedListVisualizer {
             return;
         }
 
-        let current = this.head;
-        
+        this.repositionNodes(head);
+        let current = head;
+
         // Draw Head pointer
         ctx.font = "bold 16px Inter";
         ctx.fillStyle = "#1e293b";
         ctx.textAlign = "center";
-        ctx.fillText("HEAD", this.head.x, this.head.y - 50);
-        this.drawPointer(this.head.x, this.head.y - 40, this.head.x, this.head.y - this.head.radius);
+        ctx.fillText("HEAD", head.x, head.y - 50);
+        this.drawPointer(head.x, head.y - 40, head.x, head.y - head.radius);
 
         while (current) {
             current.draw(highlightMap.get(current));
@@ -143,123 +152,79 @@ class LinkedListVisualizer {
     }
     
     async addFirst(value) {
-        if (this.isAnimating) return;
-        this.isAnimating = true;
-        try {
-            const newNode = new Node(value);
-            newNode.next = this.head;
-            this.head = newNode;
-            
-            this.repositionNodes();
-            this.draw(new Map([[newNode, '#16a34a']])); // Highlight green
-            await sleep(600);
-            this.draw();
-            showMessage(`Added ${value} to the front`, 'success');
-        } finally {
-            this.isAnimating = false;
-        }
+        if (this.player.isBusy) return;
+        this.player.begin(`Adding ${value} to the front...`);
+
+        const newNode = new Node(value);
+        newNode.next = this.head;
+        this.head = newNode;
+        this.player.record(new Map([[newNode, '#16a34a']]), 600); // Highlight green
+
+        await this.player.finish({ message: [`Added ${value} to the front`, 'success'] });
     }
-    
+
     async addLast(value) {
-        if (this.isAnimating) return;
-        this.isAnimating = true;
-        try {
-            const newNode = new Node(value);
-            if (!this.head) {
-                this.head = newNode;
-            } else {
-                let current = this.head;
-                while (current.next) {
-                    this.draw(new Map([[current, '#f59e0b']])); // Highlight amber
-                    await sleep(400);
-                    current = current.next;
-                }
-                this.draw(new Map([[current, '#f59e0b']]));
-                await sleep(400);
-                current.next = newNode;
-            }
+        if (this.player.isBusy) return;
+        this.player.begin(`Adding ${value} to the end...`);
 
-            this.repositionNodes();
-            this.draw(new Map([[newNode, '#16a34a']]));
-            await sleep(600);
-            this.draw();
-            showMessage(`Added ${value} to the end`, 'success');
-        } finally {
-            this.isAnimating = false;
+        const newNode = new Node(value);
+        if (!this.head) {
+            this.head = newNode;
+        } else {
+            let current = this.head;
+            while (current.next) {
+                this.player.record(new Map([[current, '#f59e0b']])); // Highlight amber
+                current = current.next;
+            }
+            this.player.record(new Map([[current, '#f59e0b']]));
+            current.next = newNode;
         }
+        this.player.record(new Map([[newNode, '#16a34a']]), 600);
+
+        await this.player.finish({ message: [`Added ${value} to the end`, 'success'] });
     }
 
     async removeFirst() {
-        if (this.isAnimating || !this.head) return;
-        this.isAnimating = true;
-        try {
-            const nodeToRemove = this.head;
-            this.draw(new Map([[nodeToRemove, '#ef4444']])); // Highlight red
-            await sleep(600);
-            
-            this.head = this.head.next;
-            this.repositionNodes();
-            this.draw();
-            showMessage(`Removed ${nodeToRemove.value} from the front`, 'success');
-        } finally {
-            this.isAnimating = false;
-        }
+        if (this.player.isBusy || !this.head) return;
+        this.player.begin('Removing the first node...');
+
+        const nodeToRemove = this.head;
+        this.player.record(new Map([[nodeToRemove, '#ef4444']]), 600); // Highlight red
+        this.head = this.head.next;
+
+        await this.player.finish({ message: [`Removed ${nodeToRemove.value} from the front`, 'success'] });
     }
 
     async removeLast() {
-        if (this.isAnimating || !this.head) return;
-        this.isAnimating = true;
-        try {
-            if (!this.head.next) { // Only one node
-                await this.removeFirst();
-                return; // removeFirst handles the animation flag
-            }
-
-            let current = this.head;
-            while (current.next && current.next.next) {
-                this.draw(new Map([[current, '#f59e0b']]));
-                await sleep(400);
-                current = current.next;
-            }
-            
-            const nodeToRemove = current.next;
-            this.draw(new Map([[current, '#f59e0b'], [nodeToRemove, '#ef4444']]));
-            await sleep(600);
+        if (this.player.isBusy || !this.head) return;
+        if (!this.head.next) return this.removeFirst(); // Only one node
+        this.player.begin('Removing the last node...');
 
-            current.next = null;
-            this.repositionNodes();
-            this.draw();
-            showMessage(`Removed ${nodeToRemove.value} from the end`, 'success');
-        } finally {
-            this.isAnimating = false;
+        let current = this.head;
+        while (current.next && current.next.next) {
+            this.player.record(new Map([[current, '#f59e0b']]));
+            current = current.next;
         }
+
+        const nodeToRemove = current.next;
+        this.player.record(new Map([[current, '#f59e0b'], [nodeToRemove, '#ef4444']]), 600);
+        current.next = null;
+
+        await this.player.finish({ message: [`Removed ${nodeToRemove.value} from the end`, 'success'] });
     }
 
     async search(value) {
-        if (this.isAnimating || !this.head) return;
-        this.isAnimating = true;
-        try {
-            let current = this.head;
-            let found = false;
-            while(current) {
-                if (current.value === value) {
-                    this.draw(new Map([[current, '#16a34a']]));
-                    await sleep(1000);
-                    showMessage(`Found ${value}!`, 'success');
-                    found = true;
-                    break;
-                }
-                this.draw(new Map([[current, '#f59e0b']]));
-                await sleep(400);
-                current = current.next;
-            }
-            if (!found) {
-                showMessage(`${value} not found.`, 'error');
-            }
-            this.draw(); // Redraw to remove final highlight
-        } finally {
-            this.isAnimating = false;
+        if (this.player.isBusy || !this.head) return;
+        this.player.begin(`Searching for ${value}...`);
+
+        let current = this.head;
+        while (current && current.value !== value) {
+            this.player.record(new Map([[current, '#f59e0b']]));
+            current = current.next;
         }
+        if (current) this.player.record(new Map([[current, '#16a34a']]), 1000);
+
+        await this.player.finish({ message: current ? [`Found ${value}!`, 'success'] : [`${value} not found.`, 'error'] });
     }
 
     setupEventListeners() {
@@ -1,20 +1,6 @@
 // --- DOM & SETUP ---
 const canvas = document.getElementById('visualizerCanvas');
 const ctx = canvas.getContext('2d');
-const messageBox = document.getElementById('messageBox');
-const statusDisplay = document.getElementById('status-display');
-const complexityDisplay = document.getElementById('complexity-display');
-
-// --- UTILITY FUNCTIONS ---
-function showMessage(message, type = 'info', duration = 3000) {
-    messageBox.textContent = message;
-    messageBox.className = `message-box bg-${type} show`;
-    setTimeout(() => { messageBox.classList.remove('show'); }, duration);
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
 
 // --- OPERATION INFO ---
 const INFO = {
@@ -26,22 +12,12 @@ const INFO = {
     'clear': { complexity: 'O(n)', status: 'Clearing the queue...' },
 };
 
-function updateInfo(operation, statusText = null) {
-    if (INFO[operation]) {
-        complexityDisplay.textContent = INFO[operation].complexity;
-        statusDisplay.textContent = statusText || INFO[operation].status;
-    } else {
-        complexityDisplay.textContent = 'O(?)';
-        statusDisplay.textContent = 'Ready';
-    }
-}
-
 // --- VISUALIZER CLASS ---
 class QueueVisualizer {
     constructor() {
         this.queue = [];
-        this.isAnimating = false;
         this.maxSize = 7;
+        this.player = new StepPlayer(this);
         this.setupEventListeners();
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -51,20 +27,29 @@ class QueueVisualizer {
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
-        this.draw();
+        this.player.refresh();
+    }
+
+    // --- Step player hooks ---
+    captureFrame(highlights = {}) {
+        return { queue: [...this.queue], highlights };
+    }
+
+    renderFrame(frame) {
+        this.draw(frame.highlights, frame.queue);
     }
 
-    draw(highlights = {}) {
+    draw(highlights = {}, queue = this.queue) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         const boxWidth = 100;
         const boxHeight = 60;
         const spacing = 20;
-        const totalWidth = this.queue.length * (boxWidth + spacing) - spacing;
+        const totalWidth = queue.length * (boxWidth + spacing) - spacing;
         let startX = (canvas.width - totalWidth) / 2;
         const y = canvas.height / 2 - boxHeight / 2;
 
-        if (this.queue.length === 0) {
+        if (queue.length === 0) {
             ctx.font = "20px Inter";
             ctx.fillStyle = "#64748b";
             ctx.textAlign = "center";
@@ -72,95 +57,57 @@ class QueueVisualizer {
             return;
         }
 
-        // Draw elements
-        this.queue.forEach((value, i) => {
-            const x = startX + i * (boxWidth + spacing);
-            
-            ctx.beginPath();
-            ctx.rect(x, y, boxWidth, boxHeight);
-            ctx.fillStyle = highlights[i] || '#059669';
-            ctx.fill();
-            ctx.strokeStyle = '#047857';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-
-            ctx.fillStyle = 'white';
-            ctx.font = "bold 18px Inter";
-            ctx.textAlign = "center";
-            ctx.textBaseline = "middle";
-            ctx.fillText(value, x + boxWidth / 2, y + boxHeight / 2);
-        });
-
-        // Draw "Front" and "Rear" pointers
-        const frontX = startX;
-        const rearX = startX + (this.queue.length - 1) * (boxWidth + spacing);
-        ctx.font = "bold 16px Inter";
-        ctx.fillStyle = "#1e293b";
-        ctx.textAlign = "center";
-        
-        ctx.fillText("Front", frontX + boxWidth/2, y - 40);
-        ctx.fillText("Rear", rearX + boxWidth/2, y + boxHeight + 40);
+        drawQueueBoxes(ctx, queue, { x: startX, y, boxWidth, boxHeight, spacing }, highlights);
     }
 
     async enqueue(value) {
-        if (this.isAnimating) return;
+        if (this.player.isBusy) return;
         if (this.queue.length >= this.maxSize) {
             showMessage(`Queue is full (max ${this.maxSize} elements)!`, 'error');
             return;
         }
-        this.isAnimating = true;
-        updateInfo('enqueue', `Enqueueing ${value}...`);
-        
+        updateInfo('enqueue');
+        this.player.begin(`Enqueueing ${value}...`);
+
         this.queue.push(value);
-        this.draw({ [this.queue.length - 1]: '#16a34a' });
-        await sleep(600);
-        this.draw();
-        
-        showMessage(`Enqueued ${value}`, 'success');
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({ [this.queue.length - 1]: '#16a34a' }, 600);
+
+        await this.player.finish({ message: [`Enqueued ${value}`, 'success'] });
     }
 
     async dequeue() {
-        if (this.isAnimating || this.queue.length === 0) {
-            if (!this.isAnimating) showMessage('Queue is empty!', 'error');
+        if (this.player.isBusy) return;
+        if (this.queue.length === 0) {
+            showMessage('Queue is empty!', 'error');
             return;
         }
-        this.isAnimating = true;
         updateInfo('dequeue');
-        
+        this.player.begin(INFO.dequeue.status);
+
         const dequeuedValue = this.queue[0];
-        this.draw({ 0: '#ef4444' }); // Highlight front element red
-        await sleep(600);
-        
+        this.player.record({ 0: '#ef4444' }, 600); // Highlight front element red
         this.queue.shift(); // O(n) operation
-        this.draw();
-        
-        showMessage(`Dequeued ${dequeuedValue}`, 'success');
-        updateInfo(null);
-        this.isAnimating = false;
+
+        await this.player.finish({ message: [`Dequeued ${dequeuedValue}`, 'success'] });
     }
 
     async peek() {
-        if (this.isAnimating || this.queue.length === 0) {
-            if (!this.isAnimating) showMessage('Queue is empty!', 'error');
+        if (this.player.isBusy) return;
+        if (this.queue.length === 0) {
+            showMessage('Queue is empty!', 'error');
             return;
         }
-        this.isAnimating = true;
         updateInfo('peek');
-        
+        this.player.begin(INFO.peek.status);
+
         const frontValue = this.queue[0];
-        this.draw({ 0: '#3b82f6' }); // Highlight front element blue
-        await sleep(800);
-        this.draw();
-        
-        showMessage(`Front element is ${frontValue}`, 'info');
-        updateInfo(null);
-        this.isAnimating = false;
+        this.player.record({ 0: '#3b82f6' }, 800); // Highlight front element blue
+
+        await this.player.finish({ message: [`Front element is ${frontValue}`, 'info'] });
     }
 
     isEmpty() {
-        if (this.isAnimating) return;
+        if (this.player.isBusy) return;
         updateInfo('isEmpty');
         const empty = this.queue.length === 0;
         showMessage(`Is the queue empty? ${empty}`, empty ? 'success' : 'info');
@@ -168,28 +115,24 @@ class QueueVisualizer {
     }
 
     size() {
-        if (this.isAnimating) return;
+        if (this.player.isBusy) return;
         updateInfo('size');
         showMessage(`The queue has ${this.queue.length} elements.`, 'info');
         updateInfo(null);
     }
-    
+
     async clear() {
-        if (this.isAnimating || this.queue.length === 0) return;
-        this.isAnimating = true;
+        if (this.player.isBusy || this.queue.length === 0) return;
         updateInfo('clear');
-        
+        this.player.begin(INFO.clear.status);
+
         // Visually clear from the front
-        while(this.queue.length > 0) {
-            this.draw({ 0: '#ef4444' });
-            await sleep(150);
+        while (this.queue.length > 0) {
+            this.player.record({ 0: '#ef4444' }, 150);
             this.queue.shift();
-            this.draw();
         }
 
-        showMessage('Queue has been cleared.', 'success');
-        updateInfo(null);
-        this.isAnimating = false;
+        await this.player.finish({ message: ['Queue has been cleared.', 'success'] });
     }
 
     setupEventListeners() {